@@ -0,0 +1,95 @@
+// Expresiones cron de 5 campos (min hora día mes día-semana) y macros @hourly/@daily/..., en hora local.
+// Usado por los backups programados (BACKUP_SCHEDULE).
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+const CRON_FIELDS = [['minute', 0, 59], ['hour', 0, 23], ['day', 1, 31], ['month', 1, 12], ['weekday', 0, 7]];
+
+export function parseCron(expression) {
+  const spec = CRON_MACROS[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = spec.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Expresión cron "${expression}" inválida: se esperan 5 campos (min hora día mes día-semana)`);
+  const cron = { expression: String(expression).trim() };
+  parts.forEach((part, i) => {
+    const [name, min, max] = CRON_FIELDS[i];
+    const values = new Set();
+    for (const item of part.split(',')) {
+      const m = item.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!m) throw new Error(`Expresión cron "${expression}" inválida en ${name}: "${item}"`);
+      const step = m[4] ? Number(m[4]) : 1;
+      const from = m[1] ? min : Number(m[2]);
+      const to = m[1] ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : from;
+      if (from < min || to > max || from > to || step < 1) throw new Error(`Expresión cron "${expression}" fuera de rango en ${name}: "${item}"`);
+      for (let v = from; v <= to; v += step) values.add(name === 'weekday' && v === 7 ? 0 : v);
+    }
+    cron[name] = values;
+  });
+  // Como en cron: si día del mes y día de la semana están restringidos, basta con que coincida uno
+  cron.anyDay = parts[2].startsWith('*');
+  cron.anyWeekday = parts[4].startsWith('*');
+  cron.anyHour = parts[1].startsWith('*');
+  return cron;
+}
+
+function cronDayMatches(cron, date) {
+  const day = cron.day.has(date.getDate());
+  const weekday = cron.weekday.has(date.getDay());
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return weekday;
+  if (cron.anyWeekday) return day;
+  return day || weekday;
+}
+
+const MINUTE_MS = 60 * 1000;
+
+// Alguna hora fija de la expresión cayó en los minutos de reloj que el adelanto de hora se saltó justo antes de `d`
+function matchedInGap(cron, d) {
+  if (cron.anyHour) return false;
+  const gap = new Date(d.getTime() - MINUTE_MS).getTimezoneOffset() - d.getTimezoneOffset();
+  const wall = d.getHours() * 60 + d.getMinutes();
+  for (let m = wall - gap; m < wall; m += 1) if (cron.hour.has(Math.floor(m / 60)) && cron.minute.has(m % 60)) return true;
+  return false;
+}
+
+// `d` es la segunda vez que el reloj marca esa hora (al atrasar la hora se repite un tramo)
+function repeatedWallTime(d) {
+  const back = d.getTimezoneOffset() - new Date(d.getTime() - 3 * 60 * MINUTE_MS).getTimezoneOffset();
+  if (back <= 0) return false;
+  const before = new Date(d.getTime() - back * MINUTE_MS);
+  return before.getHours() === d.getHours() && before.getMinutes() === d.getMinutes();
+}
+
+// Próximo minuto que cumple la expresión, estrictamente posterior a `from` (null si no hay en 5 años).
+// Cambios de hora como en cron: lo programado a una hora fija dentro del salto al adelantar se ejecuta al
+// terminar el salto, y al atrasar el tramo repetido solo vuelve a ejecutar lo que tiene hora comodín (`*`).
+export function nextCronRun(cron, from = Date.now()) {
+  // Redondeo en tiempo absoluto: setSeconds() resolvería una hora repetida a su primera pasada
+  const d = new Date(from - (from % MINUTE_MS) + MINUTE_MS);
+  const limit = from + 5 * 366 * 24 * 60 * MINUTE_MS;
+  while (d.getTime() < limit) {
+    if (!cron.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (matchedInGap(cron, d)) {
+      return d.getTime();
+    } else if (!cron.hour.has(d.getHours())) {
+      // En tiempo absoluto: con setHours() el tramo repetido al atrasar la hora se saltaría
+      d.setTime(d.getTime() + (60 - d.getMinutes()) * MINUTE_MS);
+    } else if (!cron.minute.has(d.getMinutes()) || (!cron.anyHour && repeatedWallTime(d))) {
+      d.setTime(d.getTime() + MINUTE_MS);
+    } else {
+      return d.getTime();
+    }
+  }
+  return null;
+}
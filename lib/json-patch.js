@@ -0,0 +1,67 @@
+// Utilidades JSON de los snapshots: diff como JSON Patch y selección de rutas para restores parciales.
+
+// JSON Pointer (RFC 6901): "/agents/0/name". También se acepta notación con puntos ("agents.0.name").
+export const escapePointer = key => `/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+export const parseJsonPath = path => (String(path).startsWith('/')
+  ? String(path).slice(1).split('/').map(seg => seg.replace(/~1/g, '/').replace(/~0/g, '~'))
+  : String(path).split('.').filter(Boolean));
+export const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Diferencia estructural de `a` a `b` como JSON Patch (RFC 6902): add / remove / replace
+export function jsonDiff(a, b, path = '', ops = []) {
+  if (isPlainObject(a) && isPlainObject(b)) {
+    for (const key of Object.keys(a)) if (!Object.hasOwn(b, key)) ops.push({ op: 'remove', path: path + escapePointer(key) });
+    for (const key of Object.keys(b)) {
+      if (Object.hasOwn(a, key)) jsonDiff(a[key], b[key], path + escapePointer(key), ops);
+      else ops.push({ op: 'add', path: path + escapePointer(key), value: b[key] });
+    }
+  } else if (Array.isArray(a) && Array.isArray(b)) {
+    const common = Math.min(a.length, b.length);
+    for (let i = 0; i < common; i += 1) jsonDiff(a[i], b[i], `${path}/${i}`, ops);
+    // Se quita desde el final para que los índices sigan siendo válidos al aplicar el patch
+    for (let i = a.length - 1; i >= b.length; i -= 1) ops.push({ op: 'remove', path: `${path}/${i}` });
+    for (let i = a.length; i < b.length; i += 1) ops.push({ op: 'add', path: `${path}/${i}`, value: b[i] });
+  } else if (a !== b) {
+    ops.push({ op: 'replace', path, value: b });
+  }
+  return ops;
+}
+
+// Subconjunto de `doc` con solo las rutas pedidas, conservando la estructura que las contiene.
+// En arreglos quedan solo los elementos seleccionados, en su orden original.
+export function selectJsonPaths(doc, paths) {
+  const missing = [];
+  let selected;
+  for (const path of paths) {
+    const segments = parseJsonPath(path);
+    if (!segments.length) return { selected: doc, missing: [] };
+    let src = doc;
+    for (const seg of segments) {
+      src = src !== null && typeof src === 'object' && Object.hasOwn(src, seg) ? src[seg] : undefined;
+      if (src === undefined) break;
+    }
+    if (src === undefined) {
+      missing.push(path);
+      continue;
+    }
+    selected ??= Array.isArray(doc) ? [] : {};
+    let dst = selected;
+    let cur = doc;
+    segments.forEach((seg, i) => {
+      if (i === segments.length - 1) {
+        dst[seg] = cur[seg];
+        return;
+      }
+      cur = cur[seg];
+      dst[seg] ??= Array.isArray(cur) ? [] : {};
+      dst = dst[seg];
+    });
+  }
+  const compact = v => {
+    if (Array.isArray(v)) return v.filter(() => true).map(compact);
+    if (isPlainObject(v)) return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, compact(x)]));
+    return v;
+  };
+  return { selected: compact(selected), missing };
+}
+
@@ -0,0 +1,37 @@
+// Parser multipart/form-data mínimo sobre Buffer (ingesta de frames remotos). No hace streaming: el cuerpo
+// ya viene completo de express.raw. Devuelve [{ name, filename, contentType, data }].
+import { Buffer } from 'node:buffer';
+
+export function parseMultipart(body, contentType) {
+  const boundary = String(contentType).match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  if (!boundary) throw Object.assign(new Error('Missing multipart boundary'), { status: 400 });
+  const first = Buffer.from(`--${boundary[1] || boundary[2].trim()}`);
+  const separator = Buffer.concat([Buffer.from('\r\n'), first]);
+  const parts = [];
+  let pos = body.indexOf(first);
+  if (pos === -1) return parts;
+  pos += first.length;
+  // Tras cada delimitador viene '--' (fin) o CRLF, cabeceras, línea en blanco y el contenido
+  while (body.toString('latin1', pos, pos + 2) !== '--') {
+    const next = body.indexOf(separator, pos);
+    if (next === -1) break;
+    const chunk = body.subarray(pos + 2, next);
+    const headerEnd = chunk.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = {};
+      for (const line of chunk.toString('utf8', 0, headerEnd).split('\r\n')) {
+        const colon = line.indexOf(':');
+        if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+      }
+      const disposition = headers['content-disposition'] || '';
+      parts.push({
+        name: disposition.match(/\bname="([^"]*)"/)?.[1],
+        filename: disposition.match(/\bfilename="([^"]*)"/)?.[1],
+        contentType: headers['content-type'],
+        data: chunk.subarray(headerEnd + 4)
+      });
+    }
+    pos = next + separator.length;
+  }
+  return parts;
+}
@@ -0,0 +1,75 @@
+// Plantillas de prompt: convierte la conversación OpenAI en el payload de backends no-OpenAI según `prompt.format`:
+//   last       -> solo el contenido del último mensaje (comportamiento histórico)
+//   transcript -> "Role: contenido" por mensaje, separados por línea en blanco
+//   tagged     -> <role>contenido</role> por mensaje
+//   messages   -> el arreglo `messages` tal cual
+// Una conversación de un único mensaje de usuario se envía como texto plano en transcript/tagged.
+
+// Texto de un `content` OpenAI (string o partes)
+export const contentText = content => {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.map(part => (typeof part === 'string' ? part : part?.text || '')).join('');
+  return content ? JSON.stringify(content) : '';
+};
+
+const messageBody = m => {
+  const parts = [];
+  const text = contentText(m?.content);
+  if (text) parts.push(text);
+  for (const call of m?.tool_calls || []) {
+    const id = call.id ? ` ${call.id}` : '';
+    parts.push(`[tool_call${id} ${call.function?.name}(${call.function?.arguments || ''})]`);
+  }
+  return parts.join('\n');
+};
+
+const roleLabel = (cfg, m) => {
+  const label = cfg.roles[m?.role] || m?.role || 'user';
+  return m?.role === 'tool' && (m.name || m.tool_call_id) ? `${label} (${m.name || m.tool_call_id})` : label;
+};
+
+const renderTranscript = (cfg, messages) => messages.map(m => `${roleLabel(cfg, m)}: ${messageBody(m)}`).join('\n\n');
+const renderTagged = (cfg, messages) => messages
+  .map(m => {
+    const tag = m?.role || 'user';
+    const attr = tag === 'tool' && (m.name || m.tool_call_id) ? ` name="${m.name || m.tool_call_id}"` : '';
+    return `<${tag}${attr}>\n${messageBody(m)}\n</${tag}>`;
+  })
+  .join('\n');
+
+// Recorta el historial: `drop_oldest` descarta los turnos más antiguos (conserva system y el último mensaje);
+// `tail` conserva solo los últimos maxChars del texto ya renderizado. Sin `render` (formato `messages`) no hay
+// texto que cortar: `tail` descarta igual los turnos más antiguos y, si el último mensaje solo sigue sin caber
+// en maxChars (medido como JSON), se queda con el final de su contenido.
+function truncateMessages(cfg, messages, render) {
+  let kept = cfg.maxMessages && messages.length > cfg.maxMessages
+    ? [...messages.filter(m => m?.role === 'system'), ...messages.filter(m => m?.role !== 'system').slice(-cfg.maxMessages)]
+    : messages;
+  if (cfg.truncate !== 'drop_oldest' && render) return kept;
+  const size = list => (render ? render(list).length : JSON.stringify(list).length);
+  while (kept.length > 1 && size(kept) > cfg.maxChars) {
+    const idx = kept.findIndex((m, i) => m?.role !== 'system' && i < kept.length - 1);
+    if (idx === -1) break;
+    kept = kept.filter((_, i) => i !== idx);
+  }
+  const last = kept.at(-1);
+  const overflow = size(kept) - cfg.maxChars;
+  if (cfg.truncate === 'tail' && !render && overflow > 0 && typeof last?.content === 'string') {
+    // Cada carácter quitado del contenido quita al menos uno del JSON
+    kept = [...kept.slice(0, -1), { ...last, content: last.content.slice(Math.min(overflow, last.content.length)) }];
+  }
+  return kept;
+}
+
+export function renderPrompt(b, { messages, prompt }) {
+  const cfg = b.prompt;
+  if (!messages) return prompt;
+  if (cfg.format === 'last' || !messages.length) return prompt;
+  if (cfg.format === 'messages') return truncateMessages(cfg, messages, null);
+
+  const render = cfg.format === 'tagged' ? list => renderTagged(cfg, list) : list => renderTranscript(cfg, list);
+  const kept = truncateMessages(cfg, messages, render);
+  if (kept.length === 1 && kept[0]?.role === 'user') return messageBody(kept[0]);
+  const text = render(kept);
+  return text.length > cfg.maxChars ? text.slice(-cfg.maxChars) : text;
+}
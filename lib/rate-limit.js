@@ -0,0 +1,19 @@
+// Cubeta de tokens de los límites por minuto: `rpm` tokens de capacidad que se rellenan a rpm/60000 por ms.
+// `prev` es el estado guardado ({ tokens, at }) o undefined si la cubeta aún no existe (empieza llena).
+export function refillBucket(prev, rpm, now) {
+  const ratePerMs = rpm / 60000;
+  const tokens = prev ? Math.min(rpm, prev.tokens + (now - prev.at) * ratePerMs) : rpm;
+  return { tokens, ratePerMs };
+}
+
+// Formato de duración usado por OpenAI en x-ratelimit-reset-* (p.ej. "250ms", "12s", "6m0s")
+export const formatReset = ms => {
+  if (ms < 1000) return `${Math.max(0, Math.ceil(ms))}ms`;
+  const total = Math.ceil(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = total % 60;
+  if (h) return `${h}h${m}m${sec}s`;
+  if (m) return `${m}m${sec}s`;
+  return `${sec}s`;
+};
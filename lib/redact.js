@@ -0,0 +1,18 @@
+// Enmascarado de secretos y PII en texto libre (log de auditoría).
+
+// Números de tarjeta: solo si pasan el dígito de control (Luhn), para no redactar timestamps o ids
+export const luhn = digits => [...digits].reverse()
+  .reduce((sum, d, i) => sum + (i % 2 ? [0, 2, 4, 6, 8, 1, 3, 5, 7, 9][d] : Number(d)), 0) % 10 === 0;
+
+// Secretos y PII en texto libre (el orden importa: tarjetas antes que teléfonos)
+const PII_PATTERNS = [
+  [/\bBearer\s+[\w.~+/=-]+/gi, 'Bearer [redacted]'],
+  [/\b(?:sk|pk|rk)[-_][\w-]{8,}/g, '[secret]'],
+  [/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, '[email]'],
+  [/\b(?:\d[ -]?){12,18}\d\b/g, m => (luhn(m.replace(/\D/g, '')) ? '[card]' : m)],
+  // Teléfono: 9+ dígitos con prefijo + o separadores (espacios, guiones, paréntesis)
+  [/(?<![\w.])\+?\(?\d[\d\s()-]{6,}\d(?!\w|\.\d)/g,
+    m => (m.replace(/\D/g, '').length >= 9 && /^\+|[\s()-]/.test(m) ? '[phone]' : m)],
+];
+
+export const maskPII = text => PII_PATTERNS.reduce((acc, [re, repl]) => acc.replace(re, repl), text);
@@ -0,0 +1,15 @@
+// Parte el texto en trozos de ~`size` caracteres sin cortar palabras, conservando los espacios
+export const chunkText = (text, size) => {
+  const tokens = String(text || '').match(/\S+\s*|\s+/g) || [];
+  const chunks = [];
+  let current = '';
+  for (const t of tokens) {
+    if (current && current.length + t.length > size) {
+      chunks.push(current);
+      current = '';
+    }
+    current += t;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+};
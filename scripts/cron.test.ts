@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronRun } from '../lib/cron.js';
+
+// Las expresiones se evalúan en hora local: se fija una zona con cambio de hora (EE.UU. 2026: 8 mar y 1 nov)
+process.env.TZ = 'America/New_York';
+
+const runs = (expression: string, fromIso: string, count: number) => {
+  const cron = parseCron(expression);
+  const out: string[] = [];
+  let from = Date.parse(fromIso);
+  for (let i = 0; i < count; i += 1) {
+    from = nextCronRun(cron, from);
+    out.push(new Date(from).toISOString());
+  }
+  return out;
+};
+
+test('parseCron: listas, rangos y pasos', () => {
+  const cron = parseCron('*/15 9-17/4 1,15 * 1-5');
+  assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hour], [9, 13, 17]);
+  assert.deepEqual([...cron.day], [1, 15]);
+  assert.equal(cron.month.size, 12);
+  assert.deepEqual([...cron.weekday], [1, 2, 3, 4, 5]);
+});
+
+test('parseCron: */n sobre el rango completo del campo y n/m hasta el máximo', () => {
+  assert.deepEqual([...parseCron('0 */6 * * *').hour], [0, 6, 12, 18]);
+  assert.deepEqual([...parseCron('*/7 * * * *').minute], [0, 7, 14, 21, 28, 35, 42, 49, 56]);
+  assert.deepEqual([...parseCron('50/5 * * * *').minute], [50, 55]);
+  assert.deepEqual([...parseCron('0 0 */10 * *').day], [1, 11, 21, 31]);
+});
+
+test('parseCron: macros y domingo como 0 o 7', () => {
+  assert.deepEqual([...parseCron('@daily').hour], [0]);
+  assert.deepEqual([...parseCron(' @HOURLY ').minute], [0]);
+  assert.equal(parseCron('@hourly').hour.size, 24);
+  assert.deepEqual([...parseCron('0 0 * * 7').weekday], [0]);
+  assert.deepEqual([...parseCron('0 0 * * 5-7').weekday], [5, 6, 0]);
+});
+
+test('parseCron: expresiones inválidas', () => {
+  assert.throws(() => parseCron('* * * *'), /se esperan 5 campos/);
+  assert.throws(() => parseCron('60 * * * *'), /fuera de rango en minute/);
+  assert.throws(() => parseCron('0 0 0 * *'), /fuera de rango en day/);
+  assert.throws(() => parseCron('0 5-2 * * *'), /fuera de rango en hour/);
+  assert.throws(() => parseCron('*/0 * * * *'), /fuera de rango en minute/);
+  assert.throws(() => parseCron('0 0 * JAN *'), /inválida en month/);
+});
+
+test('nextCronRun: estrictamente posterior a `from`', () => {
+  const cron = parseCron('*/15 * * * *');
+  assert.equal(nextCronRun(cron, Date.parse('2026-01-05T15:00:00Z')), Date.parse('2026-01-05T15:15:00Z'));
+  assert.equal(nextCronRun(cron, Date.parse('2026-01-05T15:14:59.999Z')), Date.parse('2026-01-05T15:15:00Z'));
+  assert.deepEqual(runs('*/20 * * * *', '2026-01-05T15:50:00Z', 3),
+    ['2026-01-05T16:00:00.000Z', '2026-01-05T16:20:00.000Z', '2026-01-05T16:40:00.000Z']);
+});
+
+test('nextCronRun: día del mes o de la semana basta si ambos están restringidos', () => {
+  // 13 de cada mes o cualquier viernes
+  assert.deepEqual(runs('0 12 13 * 5', '2026-02-01T00:00:00Z', 4),
+    ['2026-02-06T17:00:00.000Z', '2026-02-13T17:00:00.000Z', '2026-02-20T17:00:00.000Z', '2026-02-27T17:00:00.000Z']);
+  assert.deepEqual(runs('0 0 31 * *', '2026-01-31T12:00:00Z', 2), ['2026-03-31T04:00:00.000Z', '2026-05-31T04:00:00.000Z']);
+  assert.equal(nextCronRun(parseCron('0 0 30 2 *'), Date.parse('2026-01-01T00:00:00Z')), null);
+});
+
+test('nextCronRun: la hora fija se mantiene en hora local a través del cambio de hora', () => {
+  assert.deepEqual(runs('0 3 * * *', '2026-03-07T12:00:00Z', 3),
+    ['2026-03-08T07:00:00.000Z', '2026-03-09T07:00:00.000Z', '2026-03-10T07:00:00.000Z']);
+  assert.deepEqual(runs('0 3 * * *', '2026-10-31T12:00:00Z', 2), ['2026-11-01T08:00:00.000Z', '2026-11-02T08:00:00.000Z']);
+});
+
+test('nextCronRun: una hora fija dentro del salto al adelantar la hora corre al terminar el salto', () => {
+  // 8 mar: 01:59 EST -> 03:00 EDT; 02:30 no existe
+  assert.deepEqual(runs('30 2 * * *', '2026-03-08T05:00:00Z', 2), ['2026-03-08T07:00:00.000Z', '2026-03-09T06:30:00.000Z']);
+  // Con hora comodín no hay nada que recuperar: una ejecución por hora real
+  assert.deepEqual(runs('0 * * * *', '2026-03-08T05:30:00Z', 3),
+    ['2026-03-08T06:00:00.000Z', '2026-03-08T07:00:00.000Z', '2026-03-08T08:00:00.000Z']);
+  assert.deepEqual(runs('*/30 * * * *', '2026-03-08T06:45:00Z', 2), ['2026-03-08T07:00:00.000Z', '2026-03-08T07:30:00.000Z']);
+});
+
+test('nextCronRun: al atrasar la hora el tramo repetido solo reejecuta horas comodín', () => {
+  // 1 nov: 01:59 EDT -> 01:00 EST; la 01:xx ocurre dos veces
+  assert.deepEqual(runs('0 * * * *', '2026-11-01T04:30:00Z', 4),
+    ['2026-11-01T05:00:00.000Z', '2026-11-01T06:00:00.000Z', '2026-11-01T07:00:00.000Z', '2026-11-01T08:00:00.000Z']);
+  assert.deepEqual(runs('30 1 * * *', '2026-11-01T03:00:00Z', 2), ['2026-11-01T05:30:00.000Z', '2026-11-02T06:30:00.000Z']);
+  // Desde dentro de la segunda pasada no se vuelve a la primera
+  assert.equal(nextCronRun(parseCron('0 * * * *'), Date.parse('2026-11-01T06:00:00Z')), Date.parse('2026-11-01T07:00:00Z'));
+});
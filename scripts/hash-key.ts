@@ -0,0 +1,13 @@
+import { createHash, randomBytes } from 'node:crypto';
+
+/**
+ * Genera (o recibe) una API key del proxy e imprime la entrada para keys.json.
+ * Uso: npm run keys:hash -- <nombre> [scope,scope] [key-existente]
+ */
+
+const [name = 'nueva-llave', scopesArg = 'chat', existing] = process.argv.slice(2);
+const key = existing || `sk_arkaios_${randomBytes(24).toString('hex')}`;
+const hash = createHash('sha256').update(key, 'utf8').digest('hex');
+
+console.log(`API key (entregar al cliente, no se guarda): ${key}`);
+console.log(JSON.stringify({ name, hash: `sha256:${hash}`, scopes: scopesArg.split(',') }, null, 2));
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { jsonDiff, parseJsonPath, selectJsonPaths } from '../lib/json-patch.js';
+
+// Aplica un JSON Patch add/remove/replace (suficiente para comprobar que el diff lleva de `a` a `b`)
+function applyPatch(doc: any, ops: any[]) {
+  let root = structuredClone(doc);
+  for (const { op, path, value } of ops) {
+    const segments = parseJsonPath(path);
+    if (!segments.length) {
+      root = structuredClone(value);
+      continue;
+    }
+    const parent = segments.slice(0, -1).reduce((node, seg) => node[seg], root);
+    const last = segments[segments.length - 1];
+    if (Array.isArray(parent)) {
+      if (op === 'remove') parent.splice(Number(last), 1);
+      else if (op === 'add') parent.splice(Number(last), 0, structuredClone(value));
+      else parent[Number(last)] = structuredClone(value);
+    } else if (op === 'remove') {
+      delete parent[last];
+    } else {
+      parent[last] = structuredClone(value);
+    }
+  }
+  return root;
+}
+
+test('parseJsonPath: JSON Pointer con escapes y notación con puntos', () => {
+  assert.deepEqual(parseJsonPath('/agents/0/name'), ['agents', '0', 'name']);
+  assert.deepEqual(parseJsonPath('/a~1b/c~0d/~01'), ['a/b', 'c~d', '~1']);
+  assert.deepEqual(parseJsonPath('agents.0.name'), ['agents', '0', 'name']);
+  assert.deepEqual(parseJsonPath(''), []);
+  assert.deepEqual(parseJsonPath('/'), ['']);
+});
+
+test('jsonDiff: documentos iguales no generan operaciones', () => {
+  assert.deepEqual(jsonDiff({ a: [1, { b: null }] }, { a: [1, { b: null }] }), []);
+});
+
+test('jsonDiff: add, remove y replace con rutas escapadas', () => {
+  assert.deepEqual(jsonDiff({ keep: 1, old: true, 'a/b': 1, n: { x: 1 } }, { keep: 1, 'a/b': 2, n: { x: 1, 'c~d': [] } }), [
+    { op: 'remove', path: '/old' },
+    { op: 'replace', path: '/a~1b', value: 2 },
+    { op: 'add', path: '/n/c~0d', value: [] },
+  ]);
+});
+
+test('jsonDiff: arreglos que crecen o se acortan quitan desde el final', () => {
+  assert.deepEqual(jsonDiff({ l: [1, 2, 3, 4] }, { l: [1, 9] }), [
+    { op: 'replace', path: '/l/1', value: 9 },
+    { op: 'remove', path: '/l/3' },
+    { op: 'remove', path: '/l/2' },
+  ]);
+  assert.deepEqual(jsonDiff([1], [1, 2, 3]), [{ op: 'add', path: '/1', value: 2 }, { op: 'add', path: '/2', value: 3 }]);
+});
+
+test('jsonDiff: un cambio de tipo reemplaza el valor completo', () => {
+  assert.deepEqual(jsonDiff({ a: { x: 1 } }, { a: [1] }), [{ op: 'replace', path: '/a', value: [1] }]);
+  assert.deepEqual(jsonDiff({ a: 1 }, [1]), [{ op: 'replace', path: '', value: [1] }]);
+});
+
+test('jsonDiff: aplicar el patch sobre `a` da `b`', () => {
+  const a = { agents: [{ name: 'x', tags: ['a', 'b', 'c'] }, { name: 'y' }], config: { mode: 'fast', 'k/1': 1 }, gone: 1 };
+  const b = { agents: [{ name: 'x2', tags: ['a'] }], config: { mode: 'fast', 'k/1': 2, extra: { on: true } }, added: [null] };
+  assert.deepEqual(applyPatch(a, jsonDiff(a, b)), b);
+  assert.deepEqual(applyPatch(b, jsonDiff(b, a)), a);
+});
+
+const doc = {
+  agents: [{ name: 'a', role: 'x' }, { name: 'b', role: 'y' }, { name: 'c', role: 'z' }],
+  config: { mode: 'fast', limits: { rpm: 10, daily: 100 } },
+  list: ['cero', 'uno', 'dos'],
+};
+
+test('selectJsonPaths: mismas rutas con JSON Pointer y con puntos', () => {
+  const expected = { selected: { list: ['uno'], config: { limits: { rpm: 10 } } }, missing: [] };
+  assert.deepEqual(selectJsonPaths(doc, ['/list/1', '/config/limits/rpm']), expected);
+  assert.deepEqual(selectJsonPaths(doc, ['list.1', 'config.limits.rpm']), expected);
+});
+
+test('selectJsonPaths: en arreglos conserva solo los elementos pedidos, en su orden', () => {
+  assert.deepEqual(selectJsonPaths(doc, ['agents.2', '/agents/0/name']).selected, { agents: [{ name: 'a' }, { name: 'c', role: 'z' }] });
+  assert.deepEqual(selectJsonPaths(['a', 'b', 'c'], ['/2', '0']).selected, ['a', 'c']);
+});
+
+test('selectJsonPaths: rutas inexistentes van a `missing`', () => {
+  assert.deepEqual(selectJsonPaths(doc, ['/config/mode', 'list.7', '/nope/x', 'config.mode.length']),
+    { selected: { config: { mode: 'fast' } }, missing: ['list.7', '/nope/x', 'config.mode.length'] });
+  assert.deepEqual(selectJsonPaths(doc, ['/nope']), { selected: undefined, missing: ['/nope'] });
+});
+
+test('selectJsonPaths: la ruta raíz devuelve el documento completo', () => {
+  assert.deepEqual(selectJsonPaths(doc, ['/list/0', '']), { selected: doc, missing: [] });
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMultipart } from '../lib/multipart.js';
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x0d, 0x0a, 0x2d, 0x2d, 0x00, 0xff, 0xd9]);
+
+function multipart(boundary: string, parts: { headers: string[]; data: Buffer | string }[]) {
+  const chunks: Buffer[] = [];
+  for (const { headers, data } of parts) {
+    chunks.push(Buffer.from(`--${boundary}\r\n${headers.join('\r\n')}\r\n\r\n`), Buffer.from(data), Buffer.from('\r\n'));
+  }
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+  return Buffer.concat(chunks);
+}
+
+test('parseMultipart: campos y archivo binario intactos', () => {
+  const body = multipart('XyZ', [
+    { headers: ['Content-Disposition: form-data; name="width"'], data: '1280' },
+    { headers: ['Content-Disposition: form-data; name="frame"; filename="f.jpg"', 'Content-Type: image/jpeg'], data: JPEG },
+  ]);
+  const parts = parseMultipart(body, 'multipart/form-data; boundary=XyZ');
+  assert.equal(parts.length, 2);
+  assert.deepEqual({ ...parts[0], data: parts[0].data.toString() },
+    { name: 'width', filename: undefined, contentType: undefined, data: '1280' });
+  assert.equal(parts[1].name, 'frame');
+  assert.equal(parts[1].filename, 'f.jpg');
+  assert.equal(parts[1].contentType, 'image/jpeg');
+  // El contenido incluye CRLF y "--" sin confundirse con el delimitador
+  assert.ok(parts[1].data.equals(JPEG));
+});
+
+test('parseMultipart: boundary entre comillas, preámbulo y parámetros extra', () => {
+  const body = Buffer.concat([
+    Buffer.from('preámbulo ignorado\r\n'),
+    multipart('a b:c', [{ headers: ['content-disposition: form-data; name="timestamp"'], data: '1700000000000' }]),
+  ]);
+  const parts = parseMultipart(body, 'multipart/form-data; boundary="a b:c"; charset=utf-8');
+  assert.equal(parts.length, 1);
+  assert.equal(parts[0].name, 'timestamp');
+  assert.equal(parts[0].data.toString(), '1700000000000');
+});
+
+test('parseMultipart: parte vacía y cuerpo sin delimitadores', () => {
+  const parts = parseMultipart(multipart('b', [{ headers: ['Content-Disposition: form-data; name="empty"'], data: '' }]),
+    'multipart/form-data; boundary=b');
+  assert.equal(parts.length, 1);
+  assert.equal(parts[0].data.length, 0);
+  assert.deepEqual(parseMultipart(Buffer.from('nada'), 'multipart/form-data; boundary=b'), []);
+});
+
+test('parseMultipart: cuerpo truncado conserva las partes completas', () => {
+  const full = multipart('b', [
+    { headers: ['Content-Disposition: form-data; name="a"'], data: '1' },
+    { headers: ['Content-Disposition: form-data; name="b"'], data: '2' },
+  ]);
+  const truncated = full.subarray(0, full.indexOf('name="b"') + 12);
+  assert.deepEqual(parseMultipart(truncated, 'multipart/form-data; boundary=b').map(p => p.name), ['a']);
+});
+
+test('parseMultipart: sin boundary es un 400', () => {
+  assert.throws(() => parseMultipart(Buffer.alloc(0), 'multipart/form-data'), { status: 400, message: 'Missing multipart boundary' });
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderPrompt } from '../lib/prompt.js';
+
+const ROLES = { system: 'System', user: 'User', assistant: 'Assistant', tool: 'Tool' };
+const backend = (prompt: Record<string, any>) => ({ prompt: { format: 'transcript', roles: ROLES, maxChars: 16000, truncate: 'drop_oldest', ...prompt } });
+
+const history = [
+  { role: 'system', content: 'Eres ARKAIOS.' },
+  { role: 'user', content: 'primera pregunta '.repeat(10) },
+  { role: 'assistant', content: 'primera respuesta '.repeat(10) },
+  { role: 'user', content: 'segunda pregunta' },
+];
+const last = history[history.length - 1];
+const render = (prompt: Record<string, any>, messages: any[] = history) => renderPrompt(backend(prompt), { messages, prompt: last.content });
+
+test('renderPrompt: transcript, tagged y last', () => {
+  const messages = [{ role: 'system', content: 'S' }, { role: 'user', content: 'U' }];
+  assert.equal(render({}, messages), 'System: S\n\nUser: U');
+  assert.equal(render({ format: 'tagged' }, messages), '<system>\nS\n</system>\n<user>\nU\n</user>');
+  assert.equal(render({ format: 'last' }), 'segunda pregunta');
+  // Un único mensaje de usuario va como texto plano
+  assert.equal(render({}, [{ role: 'user', content: 'hola' }]), 'hola');
+});
+
+test('renderPrompt: drop_oldest conserva system y el último mensaje', () => {
+  const text = render({ maxChars: 80 });
+  assert.equal(text, 'System: Eres ARKAIOS.\n\nUser: segunda pregunta');
+});
+
+test('renderPrompt: tail conserva los últimos maxChars del texto', () => {
+  const text = render({ truncate: 'tail', maxChars: 60 });
+  assert.equal(text.length, 60);
+  assert.ok(text.endsWith('User: segunda pregunta'));
+});
+
+test('renderPrompt: messages sin límite alcanzado se envía tal cual', () => {
+  assert.deepEqual(render({ format: 'messages' }), history);
+  assert.deepEqual(render({ format: 'messages', truncate: 'tail' }), history);
+});
+
+test('renderPrompt: messages respeta maxChars con drop_oldest y con tail', () => {
+  const maxChars = JSON.stringify([history[0], last]).length;
+  for (const truncate of ['drop_oldest', 'tail']) {
+    const kept = render({ format: 'messages', truncate, maxChars });
+    assert.deepEqual(kept, [history[0], last], truncate);
+    assert.ok(JSON.stringify(kept).length <= maxChars, truncate);
+  }
+});
+
+test('renderPrompt: messages + tail recorta el inicio del último mensaje si solo él no cabe', () => {
+  const messages = [{ role: 'system', content: 'S' }, { role: 'user', content: 'viejo' }, { role: 'user', content: 'línea\n'.repeat(50) + 'FIN' }];
+  const maxChars = 120;
+  const kept = render({ format: 'messages', truncate: 'tail', maxChars }, messages);
+  assert.equal(kept.length, 2);
+  assert.deepEqual(kept[0], messages[0]);
+  assert.ok(kept[1].content.endsWith('FIN'));
+  assert.ok(messages[2].content.endsWith(kept[1].content));
+  assert.ok(JSON.stringify(kept).length <= maxChars);
+  // drop_oldest no corta contenido
+  assert.deepEqual(render({ format: 'messages', maxChars }, messages), [messages[0], messages[2]]);
+});
+
+test('renderPrompt: maxMessages limita los mensajes no-system', () => {
+  assert.deepEqual(render({ format: 'messages', maxMessages: 1 }), [history[0], last]);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { refillBucket, formatReset } from '../lib/rate-limit.js';
+
+test('refillBucket: una cubeta nueva empieza llena', () => {
+  assert.deepEqual(refillBucket(undefined, 60, 1000), { tokens: 60, ratePerMs: 0.001 });
+});
+
+test('refillBucket: recarga rpm/60000 tokens por ms', () => {
+  assert.equal(refillBucket({ tokens: 0, at: 0 }, 60, 1000).tokens, 1);
+  assert.equal(refillBucket({ tokens: 0, at: 0 }, 60, 30000).tokens, 30);
+  assert.equal(refillBucket({ tokens: 2.5, at: 10000 }, 120, 10250).tokens, 3);
+  assert.equal(refillBucket({ tokens: 0, at: 5000 }, 60, 5000).tokens, 0);
+});
+
+test('refillBucket: nunca supera la capacidad', () => {
+  assert.equal(refillBucket({ tokens: 59.5, at: 0 }, 60, 60000).tokens, 60);
+  assert.equal(refillBucket({ tokens: 0, at: 0 }, 10, 10 * 60000).tokens, 10);
+});
+
+test('refillBucket: el tiempo hasta el próximo token sale de ratePerMs', () => {
+  const { tokens, ratePerMs } = refillBucket({ tokens: 0.25, at: 0 }, 6, 0);
+  assert.equal((1 - tokens) / ratePerMs, 7500);
+});
+
+test('formatReset: formato de x-ratelimit-reset-*', () => {
+  assert.equal(formatReset(-5), '0ms');
+  assert.equal(formatReset(249.2), '250ms');
+  assert.equal(formatReset(1000), '1s');
+  assert.equal(formatReset(12001), '13s');
+  assert.equal(formatReset(360000), '6m0s');
+  assert.equal(formatReset(3723000), '1h2m3s');
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { luhn, maskPII } from '../lib/redact.js';
+
+test('luhn: valida el dígito de control', () => {
+  assert.equal(luhn('4111111111111111'), true);
+  assert.equal(luhn('5500005555555559'), true);
+  assert.equal(luhn('378282246310005'), true);
+  assert.equal(luhn('4111111111111112'), false);
+  assert.equal(luhn('1700000000123'), false);
+});
+
+test('maskPII: tarjetas solo si pasan Luhn, con o sin separadores', () => {
+  assert.equal(maskPII('pago con 4111 1111 1111 1111 ok'), 'pago con [card] ok');
+  assert.equal(maskPII('pago con 4111-1111-1111-1111'), 'pago con [card]');
+  assert.equal(maskPII('tarjeta 4111111111111111.'), 'tarjeta [card].');
+  // Mismo largo sin dígito de control válido: timestamps e ids quedan intactos
+  assert.equal(maskPII('ts=1700000000123 id=4111111111111112'), 'ts=1700000000123 id=4111111111111112');
+});
+
+test('maskPII: secretos, bearer y emails', () => {
+  assert.equal(maskPII('Authorization: Bearer abc.def-123'), 'Authorization: Bearer [redacted]');
+  assert.equal(maskPII('key sk-proj_abcdef123456 y rk_live_12345678'), 'key [secret] y [secret]');
+  assert.equal(maskPII('escribir a ana.perez+test@example.co.uk.'), 'escribir a [email].');
+  assert.equal(maskPII('sk-corta'), 'sk-corta');
+});
+
+test('maskPII: teléfonos con prefijo o separadores, no números sueltos', () => {
+  assert.equal(maskPII('llamar al +52 55 1234 5678'), 'llamar al [phone]');
+  assert.equal(maskPII('tel (555) 123-4567'), 'tel [phone]');
+  assert.equal(maskPII('pedido 123456789 del lote 12-34'), 'pedido 123456789 del lote 12-34');
+  assert.equal(maskPII('versión 1.2.3 y precio 1234567.89'), 'versión 1.2.3 y precio 1234567.89');
+});
@@ -0,0 +1,171 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, type ChildProcess } from 'node:child_process';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Pruebas de rutas /v1/remote/* contra el proxy real (proceso aparte: importar server.js lo arranca).
+// Se ejecuta con cwd en un directorio temporal para que los stores en data/ y logs/ no toquen el repo.
+const SERVER = fileURLToPath(new URL('../server.js', import.meta.url));
+const KEY = 'test-proxy-key';
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0xff, 0xd9]);
+
+let proxy: ChildProcess;
+let workdir: string;
+let base: string;
+
+const freePort = () => new Promise<number>((resolve, reject) => {
+  const probe = createServer().listen(0, '127.0.0.1', () => {
+    const { port } = probe.address() as { port: number };
+    probe.close(() => resolve(port));
+  }).on('error', reject);
+});
+
+before(async () => {
+  workdir = mkdtempSync(join(tmpdir(), 'arkaios-remote-'));
+  const port = await freePort();
+  base = `http://127.0.0.1:${port}`;
+  proxy = spawn(process.execPath, [SERVER], {
+    cwd: workdir,
+    env: { ...process.env, PORT: String(port), PROXY_API_KEY: KEY, PROXY_KEYS_FILE: '', BACKUP_SCHEDULE: '' },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  await new Promise<void>((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`El proxy no arrancó:\n${output}`)), 15000);
+    const onData = (chunk: Buffer) => {
+      output += chunk;
+      if (output.includes(`Proxy on :${port}`)) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    proxy.stdout!.on('data', onData);
+    proxy.stderr!.on('data', onData);
+    proxy.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`El proxy terminó (${code}):\n${output}`));
+    });
+  });
+  proxy.removeAllListeners('exit');
+});
+
+after(() => {
+  proxy?.kill();
+  if (workdir) rmSync(workdir, { recursive: true, force: true });
+});
+
+async function call(method: string, path: string, { headers = {}, body }: { headers?: Record<string, string>; body?: any } = {}) {
+  const res = await fetch(base + path, {
+    method,
+    headers: {
+      authorization: `Bearer ${KEY}`,
+      ...(body !== undefined && !Buffer.isBuffer(body) ? { 'content-type': 'application/json' } : {}),
+      ...headers,
+    },
+    body: body === undefined || Buffer.isBuffer(body) ? body : JSON.stringify(body),
+  });
+  const text = await res.text();
+  let json: any = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    // cuerpo no JSON
+  }
+  return { status: res.status, json };
+}
+
+const startSession = async () => {
+  const { status, json } = await call('POST', '/v1/remote/session/start', { body: { clientType: 'test' } });
+  assert.equal(status, 200);
+  return { id: json.sessionId as string, token: json.sessionToken as string };
+};
+
+const pendingActions = async (session: { id: string; token: string }) => {
+  const { status, json } = await call('GET', '/v1/remote/actions', { headers: { 'x-session-id': session.id, 'x-session-token': session.token } });
+  assert.equal(status, 200);
+  return json.actions.map((a: any) => a.action);
+};
+
+test('el token de una sesión no puede encolar acciones en otra', async () => {
+  const a = await startSession();
+  const b = await startSession();
+  const attempts = [
+    { path: `/v1/remote/action?sessionId=${a.id}`, headers: {}, body: { sessionId: b.id, action: 'click' } },
+    { path: '/v1/remote/action', headers: { 'x-session-id': a.id }, body: { sessionId: b.id, action: 'click' } },
+    { path: `/v1/remote/action?sessionId=${b.id}`, headers: { 'x-session-id': a.id }, body: { action: 'click' } },
+  ];
+  for (const { path, headers, body } of attempts) {
+    const res = await call('POST', path, { headers: { ...headers, 'x-session-token': a.token }, body });
+    assert.equal(res.status, 400, path);
+  }
+  // Con el id de B y el token de A: 403
+  const forged = await call('POST', '/v1/remote/action', { headers: { 'x-session-token': a.token }, body: { sessionId: b.id, action: 'click' } });
+  assert.equal(forged.status, 403);
+  assert.deepEqual(await pendingActions(b), []);
+
+  const own = await call('POST', '/v1/remote/action', { headers: { 'x-session-token': a.token }, body: { sessionId: a.id, action: 'click' } });
+  assert.equal(own.status, 200);
+  assert.equal(own.json.sessionId, a.id);
+  assert.deepEqual(await pendingActions(a), ['click']);
+});
+
+test('el sessionId de x-session-id es el que recibe la acción', async () => {
+  const a = await startSession();
+  const res = await call('POST', '/v1/remote/action', { headers: { 'x-session-id': a.id, 'x-session-token': a.token }, body: { action: 'type', text: 'hola' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.sessionId, a.id);
+  assert.deepEqual(await pendingActions(a), ['type']);
+});
+
+test('sin sessionId responde 400', async () => {
+  const a = await startSession();
+  const res = await call('POST', '/v1/remote/action', { headers: { 'x-session-token': a.token }, body: { action: 'click' } });
+  assert.equal(res.status, 400);
+  assert.equal(res.json.error, 'Missing sessionId');
+});
+
+test('el token de una sesión no puede leer los frames de otra', async () => {
+  const a = await startSession();
+  const b = await startSession();
+  const stored = await call('POST', '/v1/remote/frame', {
+    headers: { 'x-session-id': b.id, 'x-session-token': b.token, 'content-type': 'image/jpeg' },
+    body: JPEG,
+  });
+  assert.equal(stored.status, 200);
+
+  for (const path of ['/v1/remote/last-frame', '/v1/remote/frames']) {
+    const mixed = await call('GET', `${path}?sessionId=${b.id}`, { headers: { 'x-session-id': a.id, 'x-session-token': a.token } });
+    assert.equal(mixed.status, 400, path);
+    const forged = await call('GET', `${path}?sessionId=${b.id}`, { headers: { 'x-session-token': a.token } });
+    assert.equal(forged.status, 403, path);
+  }
+  const own = await call('GET', '/v1/remote/last-frame', { headers: { 'x-session-id': a.id, 'x-session-token': a.token } });
+  assert.equal(own.status, 404);
+
+  // Un frame binario con x-session-id de A y ?sessionId= de B no se guarda en ninguna
+  const mixedFrame = await call('POST', `/v1/remote/frame?sessionId=${b.id}`, {
+    headers: { 'x-session-id': a.id, 'x-session-token': a.token, 'content-type': 'image/jpeg' },
+    body: JPEG,
+  });
+  assert.equal(mixedFrame.status, 400);
+  const frames = await call('GET', '/v1/remote/frames', { headers: { 'x-session-id': b.id, 'x-session-token': b.token } });
+  assert.equal(frames.json.frames.length, 1);
+});
+
+test('POST /v1/remote/frame toma la sesión de x-session-id y exige frameData', async () => {
+  const a = await startSession();
+  const missing = await call('POST', '/v1/remote/frame', { headers: { 'x-session-id': a.id, 'x-session-token': a.token }, body: { width: 1 } });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.json.error, 'Missing frameData');
+  const stored = await call('POST', '/v1/remote/frame', {
+    headers: { 'x-session-id': a.id, 'x-session-token': a.token },
+    body: { frameData: JPEG.toString('base64') },
+  });
+  assert.equal(stored.status, 200);
+  const last = await call('GET', `/v1/remote/last-frame?sessionId=${a.id}`, { headers: { 'x-session-token': a.token } });
+  assert.equal(last.json.frame.id, stored.json.frameId);
+});
@@ -0,0 +1,80 @@
+import 'dotenv/config';
+import { createReadStream, existsSync, readdirSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { createInterface } from 'node:readline';
+import fetch from 'node-fetch';
+
+/**
+ * Reenvía una request del log de auditoría al proxy, opcionalmente contra otro backend (cambia `model`).
+ * Requiere que se haya registrado con AUDIT_LOG_BODIES=true. Busca en AUDIT_LOG_FILE y sus rotaciones.
+ * Uso: npm run audit:replay -- <request-id> [backend]
+ */
+
+const [requestId, backend] = process.argv.slice(2);
+const PROXY_URL = (process.env.PROXY_URL || `http://localhost:${process.env.PORT || 4000}`).replace(/\/+$/, '');
+const PROXY_KEY = process.env.ARKAIOS_PROXY_KEY || process.env.PROXY_API_KEY || '';
+const AUDIT_FILE = process.env.AUDIT_LOG_FILE || 'logs/audit.jsonl';
+
+async function findRecord(id: string) {
+  const dir = dirname(AUDIT_FILE);
+  const rotated = existsSync(dir)
+    ? readdirSync(dir).filter(name => name.startsWith(`${basename(AUDIT_FILE)}.`)).sort().reverse().map(name => join(dir, name))
+    : [];
+  for (const file of [AUDIT_FILE, ...rotated]) {
+    if (!existsSync(file)) continue;
+    const lines = createInterface({ input: createReadStream(file, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.includes(id)) continue;
+      try {
+        const record = JSON.parse(line);
+        if (record.id === id) return record;
+      } catch {}
+    }
+  }
+  return null;
+}
+
+async function main() {
+  if (!requestId) {
+    console.error('Uso: npm run audit:replay -- <request-id> [backend]');
+    process.exit(1);
+  }
+  const record = await findRecord(requestId);
+  if (!record) {
+    console.error(`No se encontró ${requestId} en ${AUDIT_FILE} ni en sus rotaciones`);
+    process.exit(1);
+  }
+  const hasBody = record.method !== 'GET' && record.method !== 'DELETE';
+  if (hasBody && !record.request_body) {
+    console.error('El registro no tiene cuerpo (activar AUDIT_LOG_BODIES=true para poder reenviar)');
+    process.exit(1);
+  }
+  if (record.request_body?.truncated) {
+    console.error('El cuerpo registrado está truncado (AUDIT_BODY_MAX_CHARS); no se puede reenviar');
+    process.exit(1);
+  }
+  if (JSON.stringify(record.request_body || {}).includes('[redacted]')) {
+    console.warn('Aviso: el cuerpo contiene campos redactados; la respuesta puede diferir de la original');
+  }
+
+  const body = hasBody ? { ...record.request_body, ...(backend ? { model: backend } : {}) } : undefined;
+  console.log(`> ${record.method} ${record.url} model=${body?.model ?? record.model} (original: backend=${record.backend} status=${record.status})`);
+  const res = await fetch(`${PROXY_URL}${record.url}`, {
+    method: record.method,
+    headers: {
+      ...(PROXY_KEY ? { authorization: `Bearer ${PROXY_KEY}` } : {}),
+      ...(body ? { 'content-type': 'application/json' } : {}),
+      // Sin caché: se quiere la respuesta actual del backend
+      'cache-control': 'no-cache',
+      'x-replay-of': requestId,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  console.log(`< ${res.status} backend=${res.headers.get('x-proxy-backend')} fallback_path=${res.headers.get('x-proxy-fallback-path')} request_id=${res.headers.get('x-request-id')}`);
+  console.log(await res.text());
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
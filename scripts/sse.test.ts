@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText } from '../lib/sse.js';
+
+test('chunkText: trozos de hasta `size` sin cortar palabras', () => {
+  const chunks = chunkText('uno dos tres cuatro cinco seis', 10);
+  assert.deepEqual(chunks, ['uno dos ', 'tres ', 'cuatro ', 'cinco seis']);
+  for (const chunk of chunks) assert.ok(chunk.length <= 10);
+});
+
+test('chunkText: concatenar los trozos reproduce el texto exacto', () => {
+  const text = '  Hola,\n\nmundo:  esto   es\tuna prueba.\n';
+  for (const size of [1, 5, 16, 1000]) assert.equal(chunkText(text, size).join(''), text);
+});
+
+test('chunkText: una palabra más larga que `size` va entera en su propio trozo', () => {
+  assert.deepEqual(chunkText('a supercalifragilístico b', 6), ['a ', 'supercalifragilístico ', 'b']);
+});
+
+test('chunkText: texto vacío o ausente no produce trozos', () => {
+  assert.deepEqual(chunkText('', 10), []);
+  assert.deepEqual(chunkText(undefined, 10), []);
+  assert.deepEqual(chunkText(null, 10), []);
+});
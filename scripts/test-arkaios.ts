@@ -5,7 +5,7 @@ config({ path: ".env.local" });
 
 const client = new OpenAI({
   apiKey: process.env.ARKAIOS_PROXY_KEY,
-  baseURL: "https://arkaios-service-proxy.onrender.com/v1",
+  baseURL: process.env.PROXY_BASE_URL || "https://arkaios-service-proxy.onrender.com/v1",
 });
 
 async function main() {
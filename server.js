@@ -2,23 +2,64 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import morgan from 'morgan';
-import fetch from 'node-fetch';
+import fetch, { AbortError, Response } from 'node-fetch';
 import { Buffer } from 'node:buffer';
+import { createReadStream, createWriteStream, existsSync, mkdirSync, readFileSync, readdirSync, renameSync, statSync, writeFileSync } from 'node:fs';
+import { appendFile, mkdir, readFile, readdir, rename, stat, truncate, unlink, writeFile } from 'node:fs/promises';
+import { createInterface } from 'node:readline';
+import { Readable, Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { basename, dirname, join } from 'node:path';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { WebSocketServer } from 'ws';
+import { parse as parseYaml } from 'yaml';
+import { createCipheriv, createDecipheriv, createHash, createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { parseCron, nextCronRun } from './lib/cron.js';
+import { isPlainObject, jsonDiff, selectJsonPaths } from './lib/json-patch.js';
+import { parseMultipart } from './lib/multipart.js';
+import { contentText, renderPrompt } from './lib/prompt.js';
+import { refillBucket, formatReset } from './lib/rate-limit.js';
+import { maskPII } from './lib/redact.js';
+import { chunkText } from './lib/sse.js';
 
 const app = express();
 app.use(cors());
-// Aumentamos el límite para permitir payloads grandes (p.ej. metadatos de backups)
-app.use(express.json({ limit: '50mb' }));
+// Aumentamos el límite para permitir payloads grandes (p.ej. metadatos de backups).
+// Las rutas que reenvían el cuerpo en streaming (restore/raw y chunks de subidas) lo reciben sin parsear.
+const STREAMED_BODY_PATHS = /^\/v1\/backup\/(restore\/raw|uploads\/[^/]+)\/?$/;
+const jsonParser = express.json({ limit: '50mb' });
+app.use((req, res, next) => (STREAMED_BODY_PATHS.test(req.path) ? next() : jsonParser(req, res, next)));
 app.use(morgan('dev'));
-// Almacenamiento en memoria del último snapshot JSON (opcional)
-let latestSnapshot = null;
 
 const {
   PORT = 4000,
   PROXY_API_KEY,
+  PROXY_KEYS_FILE = 'keys.json',
+  PROXY_BACKENDS_FILE = 'backends.json',
+  // Límites por defecto para llaves sin `limits` (0 = sin límite)
+  RATE_LIMIT_RPM = '0',
+  RATE_LIMIT_CONCURRENT = '0',
+  RATE_LIMIT_DAILY = '0',
+  RATE_LIMIT_MONTHLY = '0',
+  RATE_LIMIT_STORE = 'data/ratelimit.json',
+  USAGE_STORE = 'data/usage.jsonl',
+  RESPONSES_STORE = 'data/responses.json',
+  RESPONSES_MAX = '1000',
   UPSTREAM_MAX_ATTEMPTS = '4',
   UPSTREAM_RETRY_BASE_MS = '700',
   UPSTREAM_RETRY_MAX_MS = '8000',
+  UPSTREAM_TIMEOUT_MS = '60000',
+  // passthrough | record | replay (ver "Record / replay de upstreams")
+  PROXY_UPSTREAM_MODE = 'passthrough',
+  PROXY_FIXTURES_DIR = 'fixtures',
+  PROXY_REPLAY_MATCH = 'body',
+  // ids de backends a simular con el adapter mock ("*" = todos)
+  PROXY_MOCK_BACKENDS = '',
+  BREAKER_FAILURE_RATE = '0.5',
+  BREAKER_MIN_REQUESTS = '5',
+  BREAKER_WINDOW_MS = '60000',
+  BREAKER_COOLDOWN_MS = '30000',
+  BREAKER_HALF_OPEN_MAX = '1',
 
   // ARKAIOS
   ARKAIOS_BASE_URL,
@@ -44,6 +85,7 @@ const {
   LAB_MCP_BASE_URL,
   LAB_MCP_PATH = '/mcp/run',
   LAB_MCP_RESP_PATH = 'result.text|data.text|text|reply|response',
+  LAB_MCP_TOOLS = '',
 
   // Backup / Restore
   BACKUP_BASE_URL,
@@ -52,7 +94,68 @@ const {
   RESTORE_BASE_URL,
   RESTORE_INTERNAL_KEY,
   RESTORE_PATH = '/backup/restore',
-  BACKUP_TIMEOUT_MS = '60000'
+  BACKUP_TIMEOUT_MS = '60000',
+  BACKUP_MAX_UPLOAD_BYTES = '209715200',
+  // Subidas reanudables por chunks (staging en disco antes de reenviar al restore)
+  UPLOAD_DIR = 'data/uploads',
+  UPLOAD_TTL_MS = '86400000',
+  // Repositorio de snapshots en disco y retención (0 = sin límite)
+  SNAPSHOT_DIR = 'data/snapshots',
+  SNAPSHOT_KEEP = '0',
+  SNAPSHOT_MAX_AGE_MS = '0',
+  SNAPSHOT_MAX_BYTES = '0',
+  // Cifrado en reposo (AES-256-GCM) y firma de manifiestos de snapshots
+  BACKUP_ENCRYPTION_KEYS = '',
+  BACKUP_ENCRYPTION_KEY_ID = '',
+  BACKUP_MANIFEST_SECRET = '',
+  // Backups programados: expresión cron (min hora día mes día-semana, hora local); vacío = desactivado
+  BACKUP_SCHEDULE = '',
+  BACKUP_SCHEDULE_LABELS = 'scheduled',
+  BACKUP_SCHEDULE_BODY = '{}',
+
+  // Escritorio remoto: cola de acciones
+  REMOTE_ACTION_WAIT_MAX_MS = '60000',
+  REMOTE_ACTION_TTL_MS = '120000',
+  REMOTE_ACTION_HISTORY = '100',
+  // Canal push (WebSocket / SSE): buffer máximo por cliente antes de descartar frames
+  REMOTE_PUSH_MAX_BUFFER = '4194304',
+  // Historial de frames por sesión (ring buffer) y tickets para ver el stream MJPEG desde el navegador
+  REMOTE_FRAME_HISTORY = '30',
+  REMOTE_FRAME_HISTORY_BYTES = '33554432',
+  REMOTE_VIEW_TICKET_TTL_MS = '300000',
+  // Ciclo de vida de sesiones remotas: inactividad (idle y expiración), vida máxima, tope de sesiones y de memoria de frames
+  REMOTE_SESSION_IDLE_MS = '60000',
+  REMOTE_SESSION_IDLE_TIMEOUT_MS = '600000',
+  REMOTE_SESSION_MAX_LIFETIME_MS = '14400000',
+  REMOTE_MAX_SESSIONS = '20',
+  REMOTE_FRAME_MEMORY_BYTES = '268435456',
+
+  // Render de la conversación para backends no-OpenAI (ver "Plantillas de prompt")
+  PROMPT_FORMAT = 'transcript',
+  PROMPT_MAX_CHARS = '16000',
+  PROMPT_TRUNCATE = 'drop_oldest',
+
+  // Streaming (SSE) para backends que no soportan stream nativo
+  STREAM_CHUNK_CHARS = '48',
+  STREAM_CHUNK_DELAY_MS = '0',
+  STREAM_KEEPALIVE_MS = '15000',
+
+  // Caché de respuestas (opt-in)
+  RESPONSE_CACHE = 'false',
+  RESPONSE_CACHE_TTL_MS = '300000',
+  RESPONSE_CACHE_MAX = '500',
+  RESPONSE_CACHE_DIR = '',
+
+  // Auditoría JSONL de /v1/* (ver "Auditoría")
+  AUDIT_LOG = 'false',
+  AUDIT_LOG_FILE = 'logs/audit.jsonl',
+  AUDIT_LOG_BODIES = 'false',
+  AUDIT_BODY_MAX_CHARS = '20000',
+  AUDIT_REDACT_KEYS = 'authorization,api_key,apikey,password,secret,token,access_token,refresh_token,imageBase64',
+  AUDIT_REDACT_PII = 'true',
+  AUDIT_MAX_BYTES = '10485760',
+  AUDIT_MAX_AGE_MS = '86400000',
+  AUDIT_MAX_FILES = '10'
 } = process.env;
 
 const asBool = v => String(v || '').toLowerCase() === 'true';
@@ -65,16 +168,272 @@ const asInt = (value, fallback) => {
   return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
 };
 
+/* ---------- Auditoría (JSONL) ---------- */
+// Con AUDIT_LOG=true cada llamada a /v1/* deja un registro en AUDIT_LOG_FILE: id de request, llave, modelo,
+// backend, ruta de fallback, URL upstream, status, latencia, reintentos y degradado. Con AUDIT_LOG_BODIES=true
+// se añaden los cuerpos (redactados). El archivo rota por tamaño (AUDIT_MAX_BYTES) y antigüedad (AUDIT_MAX_AGE_MS).
+// `fetchWithRetry` anota la URL upstream y los reintentos en el contexto de la request en curso (AsyncLocalStorage),
+// que también expone las cabeceras a capas sin acceso a `req` (p.ej. los escenarios del backend mock).
+const requestContext = new AsyncLocalStorage();
+const audit = {
+  enabled: asBool(AUDIT_LOG),
+  file: AUDIT_LOG_FILE,
+  bodies: asBool(AUDIT_LOG_BODIES),
+  redactKeys: new Set(AUDIT_REDACT_KEYS.split(',').map(k => k.trim().toLowerCase()).filter(Boolean)),
+  redactPII: asBool(AUDIT_REDACT_PII),
+  size: null,
+  openedAt: null,
+  queue: Promise.resolve(),
+};
+
+// Secretos y PII en texto libre (tarjetas solo si pasan Luhn); ver lib/redact.js
+const redactText = text => (audit.redactPII ? maskPII(text) : text);
+
+function redact(value) {
+  if (typeof value === 'string') return redactText(value);
+  if (Array.isArray(value)) return value.map(redact);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .map(([k, v]) => [k, audit.redactKeys.has(k.toLowerCase()) ? '[redacted]' : redact(v)]));
+  }
+  return value;
+}
+
+// Cuerpo redactado y acotado a AUDIT_BODY_MAX_CHARS
+function auditBody(body) {
+  if (body === undefined || body === null || body === '') return undefined;
+  if (Buffer.isBuffer(body)) return { bytes: body.length };
+  let value = body;
+  if (typeof body === 'string') {
+    try {
+      value = JSON.parse(body);
+    } catch {}
+  }
+  const redacted = redact(value);
+  const text = typeof redacted === 'string' ? redacted : JSON.stringify(redacted);
+  const max = asInt(AUDIT_BODY_MAX_CHARS, 20000);
+  return text.length > max ? { truncated: true, preview: text.slice(0, max) } : redacted;
+}
+
+function noteUpstream(url, attempt) {
+  const entry = requestContext.getStore();
+  if (!entry) return;
+  entry.upstream_url = String(url);
+  if (attempt > 1) entry.retries += 1;
+}
+
+// Renombra el archivo actual a <nombre>.<timestamp> y conserva los AUDIT_MAX_FILES más recientes
+async function rotateAudit() {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  await rename(audit.file, `${audit.file}.${stamp}`);
+  audit.size = 0;
+  audit.openedAt = Date.now();
+  const dir = dirname(audit.file);
+  const prefix = `${basename(audit.file)}.`;
+  const rotated = (await readdir(dir)).filter(name => name.startsWith(prefix)).sort();
+  for (const name of rotated.slice(0, Math.max(0, rotated.length - asInt(AUDIT_MAX_FILES, 10)))) {
+    await unlink(join(dir, name));
+  }
+}
+
+async function appendAudit(line) {
+  if (audit.size === null) {
+    await mkdir(dirname(audit.file), { recursive: true });
+    const info = await stat(audit.file).catch(() => null);
+    audit.size = info?.size || 0;
+    audit.openedAt = info ? info.birthtimeMs || info.mtimeMs : Date.now();
+  }
+  const tooBig = audit.size > 0 && audit.size + line.length > asInt(AUDIT_MAX_BYTES, 10485760);
+  const tooOld = audit.size > 0 && Date.now() - audit.openedAt > asInt(AUDIT_MAX_AGE_MS, 86400000);
+  if (tooBig || tooOld) await rotateAudit();
+  await appendFile(audit.file, line);
+  audit.size += Buffer.byteLength(line);
+}
+
+const writeAudit = record => {
+  const line = `${JSON.stringify(record)}\n`;
+  audit.queue = audit.queue
+    .then(() => appendAudit(line))
+    .catch(error => console.warn(`[audit] no se pudo escribir: ${String(error?.message || error)}`));
+};
+
+function auditMiddleware(req, res, next) {
+  const incoming = req.get('x-request-id');
+  const id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : `req_${randomBytes(12).toString('hex')}`;
+  res.setHeader('x-request-id', id);
+  const entry = { headers: req.headers, upstream_url: null, retries: 0 };
+  if (!audit.enabled) return requestContext.run(entry, next);
+
+  const started = Date.now();
+  const chunks = [];
+  let captured = 0;
+  if (audit.bodies) {
+    // Copia de lo que se envía al cliente (hasta AUDIT_BODY_MAX_CHARS) para el registro
+    const max = asInt(AUDIT_BODY_MAX_CHARS, 20000);
+    const capture = chunk => {
+      if (!chunk || captured >= max || typeof chunk === 'function') return;
+      const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk));
+      chunks.push(buf);
+      captured += buf.length;
+    };
+    const { write, end } = res;
+    res.write = function auditedWrite(chunk, ...rest) {
+      capture(chunk);
+      return write.call(this, chunk, ...rest);
+    };
+    res.end = function auditedEnd(chunk, ...rest) {
+      capture(chunk);
+      return end.call(this, chunk, ...rest);
+    };
+  }
+
+  let done = false;
+  const finish = () => {
+    if (done) return;
+    done = true;
+    const path = res.getHeader('x-proxy-fallback-path');
+    writeAudit({
+      ts: started,
+      id,
+      method: req.method,
+      url: req.originalUrl,
+      key: req.apiKey?.name ?? null,
+      model: typeof req.body?.model === 'string' ? req.body.model : null,
+      backend: res.getHeader('x-proxy-backend') ?? null,
+      fallback_path: path ? String(path).split(',') : [],
+      upstream_url: entry.upstream_url,
+      status: res.statusCode,
+      aborted: !res.writableFinished,
+      latency_ms: Date.now() - started,
+      retries: entry.retries,
+      degraded: res.getHeader('x-proxy-degraded') === 'true',
+      cache: res.getHeader('x-proxy-cache') ?? null,
+      ...(req.get('x-replay-of') ? { replay_of: req.get('x-replay-of') } : {}),
+      ...(audit.bodies ? {
+        request_body: auditBody(req.body && Object.keys(req.body).length ? req.body : undefined),
+        response_body: auditBody(Buffer.concat(chunks).toString('utf8')),
+      } : {}),
+    });
+  };
+  res.on('finish', finish);
+  res.on('close', finish);
+  return requestContext.run(entry, next);
+}
+app.use('/v1', auditMiddleware);
+
 /* ---------- Auth SOLO /v1/* ---------- */
+// Llaves con nombre y scopes en PROXY_KEYS_FILE (se guardan como sha256, nunca en claro).
+// PROXY_API_KEY sigue funcionando como una llave "default" con todos los permisos.
+const SCOPES = ['chat', 'backup:read', 'backup:write', 'remote:ingest', 'remote:control'];
+const hashKey = key => createHash('sha256').update(String(key), 'utf8').digest();
+
+function loadApiKeys() {
+  const keys = [];
+  if (PROXY_KEYS_FILE && existsSync(PROXY_KEYS_FILE)) {
+    const config = JSON.parse(readFileSync(PROXY_KEYS_FILE, 'utf8'));
+    for (const entry of config.keys || []) {
+      const hex = String(entry.hash || '').replace(/^sha256:/, '');
+      if (!entry.name || !/^[0-9a-f]{64}$/i.test(hex)) {
+        throw new Error(`${PROXY_KEYS_FILE}: llave inválida "${entry.name || '?'}" (requiere name y hash sha256 en hex)`);
+      }
+      const scopes = entry.scopes || [];
+      const unknown = scopes.filter(sc => sc !== '*' && !SCOPES.includes(sc));
+      if (unknown.length) throw new Error(`${PROXY_KEYS_FILE}: scopes desconocidos en "${entry.name}": ${unknown.join(', ')}`);
+      keys.push({
+        name: entry.name,
+        hash: Buffer.from(hex, 'hex'),
+        scopes,
+        models: entry.models ? entry.models.map(m => String(m).toLowerCase()) : null,
+        expiresAt: entry.expiresAt ? Date.parse(entry.expiresAt) : null,
+        limits: entry.limits || null,
+      });
+    }
+  }
+  if (PROXY_API_KEY) keys.push({ name: 'default', hash: hashKey(PROXY_API_KEY), scopes: ['*'], models: null, expiresAt: null, limits: null });
+  if (keys.length) console.log(`[auth] ${keys.length} llave(s): ${keys.map(k => k.name).join(', ')}`);
+  return keys;
+}
+
+const apiKeys = loadApiKeys();
+
+// Compara contra todas las llaves sin salir antes para no filtrar información por tiempo
+function findApiKey(token) {
+  const digest = hashKey(token);
+  let found = null;
+  for (const k of apiKeys) {
+    if (timingSafeEqual(digest, k.hash) && !found) found = k;
+  }
+  return found;
+}
+
+const openAIError = (res, status, message, code, type = 'invalid_request_error') => res.status(status).json({
+  error: { message, type, param: null, code },
+});
+
+// Resuelve la llave de un token Bearer: { key } o { status, message, code } (también lo usa el upgrade a WebSocket)
+function authenticate(token) {
+  // Sin llaves configuradas el proxy queda abierto (comportamiento histórico)
+  if (!apiKeys.length) return { key: { name: 'anonymous', scopes: ['*'], models: null, limits: null } };
+  const key = token ? findApiKey(token) : null;
+  if (!key) return { status: 401, message: 'Invalid API key' };
+  if (key.expiresAt && Date.now() >= key.expiresAt) return { status: 403, message: `API key '${key.name}' expired`, code: 'api_key_expired' };
+  return { key };
+}
+
+// Tickets de vista: permiten abrir UNA ruta GET sin cabecera Authorization (p.ej. <img src> del stream MJPEG).
+// Firmados con un secreto del proceso, con caducidad corta y atados a la llave que los emitió.
+const viewTicketSecret = randomBytes(32);
+const ticketSignature = payload => createHmac('sha256', viewTicketSecret).update(payload).digest('base64url');
+
+function issueViewTicket(key, path) {
+  const expiresAt = Date.now() + asInt(REMOTE_VIEW_TICKET_TTL_MS, 300000);
+  const payload = Buffer.from(JSON.stringify({ p: path, k: key.name, exp: expiresAt })).toString('base64url');
+  return { ticket: `${payload}.${ticketSignature(payload)}`, expiresAt };
+}
+
+function verifyViewTicket(ticket, path) {
+  const [payload, signature = ''] = String(ticket).split('.');
+  const expected = Buffer.from(ticketSignature(payload));
+  if (expected.length !== Buffer.byteLength(signature) || !timingSafeEqual(expected, Buffer.from(signature))) return null;
+  let claims;
+  try { claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')); } catch { return null; }
+  if (claims.p !== path || !(Date.now() < claims.exp)) return null;
+  if (!apiKeys.length) return authenticate(null).key;
+  // La llave sigue teniendo que existir y estar vigente (revocar la llave invalida sus tickets)
+  const key = apiKeys.find(k => k.name === claims.k);
+  return key && !(key.expiresAt && Date.now() >= key.expiresAt) ? key : null;
+}
+
+const hasScope = (key, ...scopes) => key.scopes.includes('*') || scopes.some(sc => key.scopes.includes(sc));
+
 const authMiddleware = (req, res, next) => {
   const auth = req.headers.authorization || '';
-  const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
-  if (!PROXY_API_KEY || token === PROXY_API_KEY) return next();
-  res.status(401).json({ error: 'Invalid API key' });
+  if (!auth && req.method === 'GET' && typeof req.query.ticket === 'string') {
+    const key = verifyViewTicket(req.query.ticket, req.baseUrl + req.path);
+    if (!key) return res.status(401).json({ error: 'Invalid or expired ticket' });
+    req.apiKey = key;
+    req.viewTicket = true;
+    return next();
+  }
+  const { key, status, message, code } = authenticate(auth.startsWith('Bearer ') ? auth.slice(7) : null);
+  if (!key && status === 401) return res.status(401).json({ error: message });
+  if (!key) return openAIError(res, status, message, code);
+  req.apiKey = key;
+  next();
 };
 app.use('/v1', authMiddleware);
 
+// Exige al menos uno de los scopes indicados
+const requireScope = (...scopes) => (req, res, next) => {
+  if (req.apiKey && hasScope(req.apiKey, ...scopes)) return next();
+  return openAIError(res, 403, `API key '${req.apiKey?.name}' lacks scope: ${scopes.join(' | ')}`, 'insufficient_scope');
+};
+
+const keyAllowsModel = (key, model) => !key?.models || key.models.includes(String(model).toLowerCase());
+
 /* ---------- Helpers ---------- */
+// Tareas síncronas a ejecutar antes de salir (persistencia de estado en disco)
+const shutdownTasks = [];
 const dotGet = (obj, path) => {
   if (!path) return undefined;
   return path.split('.').reduce((acc, k) => (acc && acc[k] !== undefined ? acc[k] : undefined), obj);
@@ -127,17 +486,260 @@ const retryAfterMs = response => {
   return null;
 };
 
-async function fetchWithRetry(url, init = {}, label = 'upstream') {
-  const maxAttempts = asInt(UPSTREAM_MAX_ATTEMPTS, 4);
+/* ---------- Record / replay de upstreams ---------- */
+// PROXY_UPSTREAM_MODE aplica a todas las llamadas salientes (fetchWithRetry y forwardPost):
+//   passthrough -> red real (default)
+//   record      -> red real, y cada par request/response se guarda en PROXY_FIXTURES_DIR
+//   replay      -> sin red: responde desde los fixtures o falla con un error explícito
+// Clave del fixture: método + URL, más el cuerpo canónico si PROXY_REPLAY_MATCH=body. Las respuestas
+// grabadas para una misma clave (p.ej. 429 y luego 200 por un reintento) se sirven en orden; agotada
+// la secuencia se repite la última.
+const UPSTREAM_MODES = ['passthrough', 'record', 'replay'];
+const REPLAY_MATCHES = ['body', 'url'];
+const upstreamMode = String(PROXY_UPSTREAM_MODE).toLowerCase();
+const replayMatch = String(PROXY_REPLAY_MATCH).toLowerCase();
+if (!UPSTREAM_MODES.includes(upstreamMode)) {
+  throw new Error(`PROXY_UPSTREAM_MODE "${PROXY_UPSTREAM_MODE}" no soportado (${UPSTREAM_MODES.join(' | ')})`);
+}
+if (!REPLAY_MATCHES.includes(replayMatch)) {
+  throw new Error(`PROXY_REPLAY_MATCH "${PROXY_REPLAY_MATCH}" no soportado (${REPLAY_MATCHES.join(' | ')})`);
+}
+if (upstreamMode !== 'passthrough') console.log(`[upstream] modo ${upstreamMode} (fixtures en ${PROXY_FIXTURES_DIR}, match=${replayMatch})`);
+
+// `recorded`: claves ya grabadas en este proceso (la primera grabación reemplaza el fixture anterior)
+const fixtures = { entries: new Map(), recorded: new Set(), cursor: new Map() };
+// Cabeceras que no tiene sentido reproducir (el cuerpo se guarda ya descomprimido y completo)
+const FIXTURE_SKIP_HEADERS = new Set(['content-length', 'content-encoding', 'transfer-encoding', 'connection', 'keep-alive', 'set-cookie', 'date']);
+const TEXT_CONTENT = /json|text|event-stream|xml|javascript/i;
+
+// JSON con claves ordenadas para que el orden de serialización no cambie la clave
+const canonicalJson = value => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+function requestSignature(url, init) {
+  const method = String(init.method || 'GET').toUpperCase();
+  let body = '';
+  if (Buffer.isBuffer(init.body)) {
+    body = `sha256:${createHash('sha256').update(init.body).digest('hex')}`;
+  } else if (typeof init.body === 'string') {
+    try {
+      body = canonicalJson(JSON.parse(init.body));
+    } catch {
+      body = init.body;
+    }
+  }
+  const material = `${method} ${url}\n${replayMatch === 'body' ? body : ''}`;
+  return { key: createHash('sha256').update(material).digest('hex').slice(0, 32), method, url: String(url), body };
+}
+
+const fixtureFile = key => join(PROXY_FIXTURES_DIR, `${key}.json`);
+
+function loadFixture(key) {
+  if (!fixtures.entries.has(key)) {
+    const file = fixtureFile(key);
+    fixtures.entries.set(key, existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : null);
+  }
+  return fixtures.entries.get(key);
+}
+
+const fixtureResponse = (entry, url) => new Response(Buffer.from(entry.body, entry.encoding), {
+  status: entry.status,
+  headers: entry.headers,
+  url,
+});
+
+async function recordFixture(sig, res) {
+  const buffer = Buffer.from(await res.arrayBuffer());
+  const headers = {};
+  res.headers.forEach((value, name) => {
+    if (!FIXTURE_SKIP_HEADERS.has(name)) headers[name] = value;
+  });
+  const encoding = TEXT_CONTENT.test(headers['content-type'] || '') ? 'utf8' : 'base64';
+  const entry = { status: res.status, headers, body: buffer.toString(encoding), encoding };
+  const fixture = fixtures.recorded.has(sig.key) && loadFixture(sig.key)
+    ? loadFixture(sig.key)
+    : { request: { method: sig.method, url: sig.url, body: sig.body.slice(0, 4000) }, responses: [] };
+  fixtures.recorded.add(sig.key);
+  fixture.responses.push(entry);
+  fixtures.entries.set(sig.key, fixture);
+  writeJsonFile(fixtureFile(sig.key), fixture);
+  return fixtureResponse(entry, sig.url);
+}
+
+function replayFixture(sig) {
+  const fixture = loadFixture(sig.key);
+  if (!fixture?.responses?.length) {
+    const error = new Error(`No replay fixture for ${sig.method} ${sig.url} (match=${replayMatch}, key=${sig.key}); record it with PROXY_UPSTREAM_MODE=record`);
+    error.code = 'FIXTURE_NOT_FOUND';
+    throw error;
+  }
+  const n = fixtures.cursor.get(sig.key) || 0;
+  fixtures.cursor.set(sig.key, n + 1);
+  return fixtureResponse(fixture.responses[Math.min(n, fixture.responses.length - 1)], sig.url);
+}
+
+async function upstreamFetch(url, init = {}) {
+  if (String(url).startsWith('mock://')) return mockFetch(url, init);
+  if (upstreamMode === 'passthrough') return fetch(url, init);
+  const sig = requestSignature(url, init);
+  if (upstreamMode === 'replay') return replayFixture(sig);
+  return recordFixture(sig, await fetch(url, init));
+}
+
+/* ---------- Backend simulado (mock) ---------- */
+// Los backends simulados tienen base `mock://<id>` y se resuelven en la misma capa que la red, así que
+// reintentos, Retry-After, breaker, timeouts y fallback se comportan igual que con un upstream real.
+// Responde en el formato del adapter: custom `data.text`, AIDA `result.steps`, MCP `result.via`/`reply.message`
+// y OpenAI (JSON o SSE). Escenario: cabecera `x-mock-scenario-<backend>`, luego `x-mock-scenario`, luego
+// `mock.scenario` del backend. Tokens separados por coma:
+//   ok | latency=<ms> | <status>[:<retryAfterSeg>] | burst=<status>x<n> | degraded | malformed | hang
+const mockBursts = new Map();
+
+function parseScenario(spec) {
+  const scenario = { latencyMs: 0, status: null, retryAfter: null, burst: null, degraded: false, malformed: false, hang: false };
+  for (const token of String(spec).split(',').map(t => t.trim().toLowerCase()).filter(Boolean)) {
+    let m;
+    if (token === 'ok') continue;
+    if ((m = token.match(/^latency=(\d+)$/))) {
+      scenario.latencyMs = Number(m[1]);
+    } else if ((m = token.match(/^(\d{3})(?::(\d+))?$/))) {
+      scenario.status = Number(m[1]);
+      scenario.retryAfter = m[2] ?? null;
+    } else if ((m = token.match(/^burst=(\d{3})x(\d+)$/))) {
+      scenario.burst = { status: Number(m[1]), count: Number(m[2]) };
+    } else if (['degraded', 'malformed', 'hang'].includes(token)) {
+      scenario[token] = true;
+    } else {
+      return { error: `Unknown mock scenario token '${token}'` };
+    }
+  }
+  return scenario;
+}
+
+const mockWait = (ms, signal) => new Promise((resolve, reject) => {
+  const abort = () => {
+    clearTimeout(timer);
+    reject(new AbortError('The operation was aborted.'));
+  };
+  const timer = Number.isFinite(ms) ? setTimeout(resolve, ms) : null;
+  if (signal?.aborted) return abort();
+  signal?.addEventListener('abort', abort, { once: true });
+});
+
+const mockResponse = (url, status, body, headers = {}) => new Response(
+  typeof body === 'string' ? body : JSON.stringify(body),
+  { status, headers: { 'content-type': 'application/json', ...headers }, url },
+);
+
+// Texto que el backend recibió, para incluirlo en la respuesta simulada
+function mockPrompt(b, request) {
+  const value = b.adapter === 'custom' ? request[b.reqField]
+    : b.adapter === 'aida-gateway' ? request.params?.[b.objectiveField]
+      : b.adapter === 'mcp' ? request.params?.prompt
+        : request.messages ?? request.prompt;
+  const text = Array.isArray(value) ? contentText(value[value.length - 1]?.content) : contentText(value);
+  return text.length > 500 ? `${text.slice(0, 500)}…` : text;
+}
+
+function mockBody(b, request, scenario) {
+  const text = `[mock ${b.name}] ${mockPrompt(b, request)}`;
+  const tools = request.params?.tools || [];
+  if (b.adapter === 'aida-gateway') {
+    const steps = ['Analizar el objetivo', 'Responder al usuario'];
+    if (tools[0]) steps.push({ tool: tools[0].name, args: {} });
+    return { ok: true, result: { note: text, steps } };
+  }
+  if (b.adapter === 'mcp') {
+    const reply = { message: scenario.degraded ? `[mock ${b.name}] modo degradado` : text };
+    if (tools[0] && !scenario.degraded) reply.steps = [{ name: tools[0].name, arguments: {} }];
+    return { ok: true, result: { via: scenario.degraded ? 'degraded' : 'mock', reply } };
+  }
+  if (b.adapter === 'openai') {
+    return {
+      id: `chatcmpl-mock-${randomBytes(6).toString('hex')}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: request.model,
+      choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+    };
+  }
+  return { data: { text } };
+}
+
+function mockStream(url, body) {
+  const { id, created, model } = body;
+  const event = (delta, finishReason) => `data: ${JSON.stringify({
+    id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta, finish_reason: finishReason }],
+  })}\n\n`;
+  const pieces = chunkText(body.choices[0].message.content, asInt(STREAM_CHUNK_CHARS, 48));
+  const sse = [
+    event({ role: 'assistant', content: '' }, null),
+    ...pieces.map(piece => event({ content: piece }, null)),
+    event({}, 'stop'),
+    'data: [DONE]\n\n',
+  ].join('');
+  return new Response(sse, { status: 200, headers: { 'content-type': 'text/event-stream' }, url });
+}
+
+async function mockFetch(url, init = {}) {
+  const name = decodeURIComponent(new URL(url).hostname);
+  const b = registry.byName.get(name);
+  if (!b?.mock) return mockResponse(url, 404, { error: `Unknown mock backend '${name}'` });
+  const headers = requestContext.getStore()?.headers || {};
+  const spec = headers[`x-mock-scenario-${b.name}`] ?? headers['x-mock-scenario'] ?? b.mock.scenario;
+  const scenario = parseScenario(spec);
+  if (scenario.error) return mockResponse(url, 400, { error: scenario.error });
+
+  if (scenario.latencyMs) await mockWait(scenario.latencyMs, init.signal);
+  if (scenario.hang) await mockWait(Infinity, init.signal);
+  if (String(init.method || 'GET').toUpperCase() === 'GET') return mockResponse(url, 200, { ok: true, mock: b.name });
+
+  let status = scenario.status;
+  if (scenario.burst) {
+    // Ciclo: `count` fallos seguidos y luego una respuesta correcta
+    const key = `${b.name}|${spec}`;
+    const n = mockBursts.get(key) || 0;
+    mockBursts.set(key, (n + 1) % (scenario.burst.count + 1));
+    if (n < scenario.burst.count) status = scenario.burst.status;
+  }
+  if (status >= 400) {
+    const retryAfter = scenario.retryAfter ?? (status === 429 ? '1' : null);
+    return mockResponse(url, status, { error: { message: `mock ${b.name}: simulated ${status}`, code: status } },
+      retryAfter ? { 'retry-after': retryAfter } : {});
+  }
+  if (scenario.malformed) return mockResponse(url, 200, `{"data": {"text": "[mock ${b.name}] respuesta cortada`);
+
+  let request = {};
+  try {
+    request = JSON.parse(init.body);
+  } catch {}
+  const body = mockBody(b, request, scenario);
+  return b.adapter === 'openai' && request.stream ? mockStream(url, body) : mockResponse(url, 200, body);
+}
+
+// `retry.maxAttempts` limita los intentos (p.ej. 1 en half-open) y `retry.stopIf()` corta
+// los reintentos pendientes (p.ej. si el circuit breaker del backend se abrió entretanto).
+async function fetchWithRetry(url, init = {}, label = 'upstream', retry = {}) {
+  const maxAttempts = retry.maxAttempts || asInt(UPSTREAM_MAX_ATTEMPTS, 4);
   const baseDelay = asInt(UPSTREAM_RETRY_BASE_MS, 700);
   const maxDelay = asInt(UPSTREAM_RETRY_MAX_MS, 8000);
 
+  // Solo se reintenta antes de entregar la respuesta: una vez devuelta, el cuerpo
+  // (incluido un stream SSE) pertenece al llamador y ya no se repite la petición.
   let lastError = null;
   for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    noteUpstream(url, attempt);
     try {
-      const res = await fetch(url, init);
-      if (!shouldRetryStatus(res.status) || attempt === maxAttempts) return res;
+      const res = await upstreamFetch(url, init);
+      if (!shouldRetryStatus(res.status) || attempt === maxAttempts || init.signal?.aborted || retry.stopIf?.()) return res;
 
+      // Liberar el socket del intento descartado
+      res.body?.resume?.();
       const hinted = retryAfterMs(res);
       const backoff = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
       const jitter = Math.floor(Math.random() * 250);
@@ -146,7 +748,7 @@ async function fetchWithRetry(url, init = {}, label = 'upstream') {
       await sleep(waitMs);
     } catch (error) {
       lastError = error;
-      if (attempt === maxAttempts) throw error;
+      if (attempt === maxAttempts || init.signal?.aborted || retry.stopIf?.() || error.code === 'FIXTURE_NOT_FOUND') throw error;
       const backoff = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
       const jitter = Math.floor(Math.random() * 250);
       const waitMs = backoff + jitter;
@@ -157,483 +759,1728 @@ async function fetchWithRetry(url, init = {}, label = 'upstream') {
   throw lastError || new Error('Unknown upstream error');
 }
 
-async function forwardPost({ base, path, key, body, query, timeoutMs, contentType }) {
+// Reenvía a los servicios de backup/restore sin acumular en memoria: `body` puede ser un Readable (p.ej. la
+// request del cliente o un archivo), un Buffer/string o un objeto (se envía como JSON). La respuesta se devuelve
+// sin leer para canalizarla con relayUpstream. `timeoutMs` es de inactividad: se reinicia con cada chunk en
+// cualquier dirección, así una transferencia grande pero activa no se corta.
+async function forwardPost({ base, path, key, body, query, timeoutMs, contentType, contentLength, maxBytes = 0, signal }) {
   const url = buildUrl(base, path, query);
   if (!url) throw new Error('Missing base URL');
 
   const headers = key ? { authorization: `Bearer ${key}` } : {};
-  let payload;
-  if (Buffer.isBuffer(body)) {
-    payload = body;
-  } else if (typeof body === 'string') {
-    payload = body;
-    if (contentType) headers['content-type'] = contentType;
-  } else if (body && typeof body === 'object') {
-    payload = JSON.stringify(body);
-    headers['content-type'] = headers['content-type'] || 'application/json';
-  } else if (contentType) {
-    headers['content-type'] = contentType;
+  let source = body;
+  if (body && !(body instanceof Readable)) {
+    const buffer = Buffer.isBuffer(body) || typeof body === 'string' ? Buffer.from(body) : Buffer.from(JSON.stringify(body));
+    if (!Buffer.isBuffer(body) && typeof body !== 'string') contentType = 'application/json';
+    source = Readable.from([buffer]);
+    contentLength = buffer.length;
   }
+  if (contentType) headers['content-type'] = contentType;
+  if (contentLength != null) headers['content-length'] = String(contentLength);
 
   const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  let timer;
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), timeoutMs);
+  };
+  const release = () => clearTimeout(timer);
+  if (signal) signal.addEventListener('abort', () => controller.abort(), { once: true });
+
+  let sent = 0;
+  let bodyError = null;
+  const meter = new Transform({
+    transform(chunk, _encoding, callback) {
+      sent += chunk.length;
+      if (maxBytes && sent > maxBytes) return callback(payloadTooLarge(maxBytes));
+      touch();
+      return callback(null, chunk);
+    },
+  });
+  if (source) {
+    pipeline(source, meter).catch(error => {
+      bodyError = error;
+      controller.abort();
+    });
+  }
+
+  touch();
+  noteUpstream(url, 1);
   try {
-    const response = await fetch(url, {
+    const response = await upstreamFetch(url, {
       method: 'POST',
       headers,
-      body: payload,
+      body: source ? meter : undefined,
       signal: controller.signal,
     });
-    const buffer = Buffer.from(await response.arrayBuffer());
-    return { response, buffer, url };
+    return { response, url, touch, release };
+  } catch (error) {
+    release();
+    throw bodyError || error;
+  }
+}
+
+const payloadTooLarge = max => Object.assign(new Error(`Payload exceeds ${max} bytes`), { status: 413 });
+
+// Aborta la llamada al upstream si el cliente se desconecta antes de terminar
+function clientSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+// Canaliza la respuesta de forwardPost al cliente. Los errores del servicio se resumen en JSON (600 chars).
+// `copyTo` (Writable opcional) recibe una copia de lo enviado, respetando su backpressure.
+async function relayUpstream(res, { response, url, touch, release }, { service, defaultType, copyTo = null }) {
+  try {
+    if (!response.ok) {
+      const text = await response.text();
+      return res.status(response.status).json({ error: `${service} service ${response.status} @ ${url}`, body: text.slice(0, 600) });
+    }
+    res.status(response.status);
+    res.setHeader('content-type', response.headers.get('content-type') || defaultType);
+    const disposition = response.headers.get('content-disposition');
+    if (disposition) res.setHeader('content-disposition', disposition);
+    // node-fetch descomprime: el content-length original solo vale si no había content-encoding
+    const length = response.headers.get('content-length');
+    if (length && !response.headers.get('content-encoding')) res.setHeader('content-length', length);
+    const activity = new Transform({
+      transform(chunk, _encoding, callback) {
+        touch();
+        if (copyTo && !copyTo.write(chunk)) return copyTo.once('drain', () => callback(null, chunk));
+        return callback(null, chunk);
+      },
+    });
+    return await pipeline(response.body, activity, res);
   } finally {
-    clearTimeout(timer);
+    release();
   }
 }
 
-/* ---------- Backends ---------- */
-function pick(modelId) {
-  const m = (modelId || '').toLowerCase();
-  if (m === 'aida') {
-    return {
-      name: 'aida',
-      base: trimBase(AIDA_BASE_URL),
-      openai: asBool(AIDA_OPENAI),
-      mode: (AIDA_MODE || 'gateway').toLowerCase(),
+function forwardFailure(res, error, service) {
+  if (res.headersSent) return res.destroy(error);
+  const message = error?.name === 'AbortError' ? `${service} service timeout reached` : String(error?.message || error);
+  return res.status(error?.status || 500).json({ error: message });
+}
+
+/* ---------- Backends (registro declarativo) ---------- */
+// Cada backend se define en PROXY_BACKENDS_FILE (JSON, o YAML si termina en .yaml/.yml). Si el archivo no existe,
+// se genera una configuración equivalente a partir de las variables ARKAIOS_* / AIDA_* / LAB_MCP_*.
+const ADAPTERS = ['openai', 'custom', 'aida-gateway', 'mcp', 'mock'];
+const MOCK_BACKENDS = new Set(PROXY_MOCK_BACKENDS.split(',').map(s => s.trim().toLowerCase()).filter(Boolean));
+const PROMPT_FORMATS = ['last', 'transcript', 'tagged', 'messages'];
+const PROMPT_TRUNCATE_POLICIES = ['drop_oldest', 'tail'];
+const DEFAULT_FALLBACK_STATUS = [429, 500, 502, 503, 504];
+
+function defaultBackendsConfig() {
+  const aidaMode = asBool(AIDA_OPENAI) ? 'openai' : (AIDA_MODE || 'gateway').toLowerCase();
+  const aidaAuth = (AIDA_AUTH_MODE || 'public').toLowerCase() === 'public' ? 'AIDA_PUBLIC_KEY' : 'AIDA_INTERNAL_KEY';
+  const aida = { id: 'aida', ownedBy: 'aida', baseUrl: AIDA_BASE_URL, auth: { keyEnv: aidaAuth }, fallback: ['lab'] };
+  if (aidaMode === 'gateway') {
+    Object.assign(aida, {
+      adapter: 'aida-gateway',
       path: AIDA_PATH,
-      // auth seleccionable
-      authMode: (AIDA_AUTH_MODE || 'public').toLowerCase(),
-      keyPublic: AIDA_PUBLIC_KEY,
-      keyInternal: AIDA_INTERNAL_KEY,
-      // campos gateway
       agentId: AIDA_AGENT_ID,
       action: AIDA_ACTION,
       objectiveField: AIDA_OBJECTIVE_FIELD,
-      // fallback custom
+      respPath: AIDA_RESP_PATH,
+    });
+  } else {
+    Object.assign(aida, {
+      adapter: aidaMode === 'openai' ? 'openai' : 'custom',
+      path: AIDA_PATH,
       reqField: 'input',
       respPath: 'data.text',
-    };
+    });
   }
-  if (m === 'lab') {
-    return {
-      name: 'lab',
-      base: trimBase(LAB_MCP_BASE_URL || 'http://localhost:8090'),
-      openai: false,
-      mode: 'mcp',
-      path: LAB_MCP_PATH,
-      reqField: 'prompt',
-      respPath: LAB_MCP_RESP_PATH,
-    };
+
+  return {
+    default: 'arkaios',
+    backends: [
+      {
+        id: 'arkaios',
+        ownedBy: 'arkaios',
+        adapter: asBool(ARKAIOS_OPENAI) ? 'openai' : 'custom',
+        baseUrl: ARKAIOS_BASE_URL,
+        path: ARKAIOS_PATH,
+        auth: { keyEnv: 'ARKAIOS_INTERNAL_KEY' },
+        reqField: ARKAIOS_REQ_FIELD,
+        respPath: ARKAIOS_RESP_PATH,
+        fallback: ['aida', 'lab'],
+      },
+      aida,
+      {
+        id: 'lab',
+        ownedBy: 'arkaios-lab',
+        adapter: 'mcp',
+        baseUrl: LAB_MCP_BASE_URL || 'http://localhost:8090',
+        path: LAB_MCP_PATH,
+        command: 'arkaios.chat',
+        respPath: LAB_MCP_RESP_PATH,
+        // LAB protegido (403) o saturado (429) responde degradado sin romper el flujo
+        degradeOn: [429, 403],
+        // "tool=comando,tool2=comando2"
+        tools: {
+          allow: Object.fromEntries(LAB_MCP_TOOLS.split(',')
+            .map(pair => pair.split('=').map(s => s.trim()))
+            .filter(([tool, command]) => tool && command)),
+        },
+      },
+    ],
+  };
+}
+
+function normalizeBackend(entry, source) {
+  const id = String(entry?.id || '').trim().toLowerCase();
+  if (!id) throw new Error(`${source}: backend sin "id"`);
+  const declared = String(entry.adapter || 'custom').toLowerCase();
+  if (!ADAPTERS.includes(declared)) {
+    throw new Error(`${source}: adapter "${entry.adapter}" no soportado en "${id}" (${ADAPTERS.join(' | ')})`);
+  }
+  // `mock` responde con el formato de `mock.format`; cualquier otro backend se simula con mock.enabled o PROXY_MOCK_BACKENDS
+  const mockCfg = entry.mock || {};
+  const adapter = declared === 'mock' ? String(mockCfg.format || 'custom').toLowerCase() : declared;
+  if (adapter === 'mock' || !ADAPTERS.includes(adapter)) {
+    throw new Error(`${source}: mock.format "${mockCfg.format}" no soportado en "${id}"`);
+  }
+  const mocked = declared === 'mock' || mockCfg.enabled === true || MOCK_BACKENDS.has(id) || MOCK_BACKENDS.has('*');
+  const auth = entry.auth || {};
+  const promptCfg = entry.prompt || {};
+  const toolAllow = { ...(entry.tools?.allow || {}) };
+  const format = String(promptCfg.format || PROMPT_FORMAT).toLowerCase();
+  const truncate = String(promptCfg.truncate || PROMPT_TRUNCATE).toLowerCase();
+  if (!PROMPT_FORMATS.includes(format)) throw new Error(`${source}: prompt.format "${format}" no soportado en "${id}" (${PROMPT_FORMATS.join(' | ')})`);
+  if (!PROMPT_TRUNCATE_POLICIES.includes(truncate)) {
+    throw new Error(`${source}: prompt.truncate "${truncate}" no soportado en "${id}" (${PROMPT_TRUNCATE_POLICIES.join(' | ')})`);
   }
-  // default arkaios
   return {
-    name: 'arkaios',
-    base: trimBase(ARKAIOS_BASE_URL),
-    openai: asBool(ARKAIOS_OPENAI),
-    path: ARKAIOS_PATH,
-    reqField: ARKAIOS_REQ_FIELD,
-    respPath: ARKAIOS_RESP_PATH,
-    keyInternal: ARKAIOS_INTERNAL_KEY,
+    name: id,
+    aliases: (entry.aliases || []).map(a => String(a).toLowerCase()),
+    ownedBy: entry.ownedBy || id,
+    adapter,
+    base: mocked ? `mock://${id}` : trimBase(entry.baseUrl),
+    path: entry.path || (adapter === 'mcp' ? '/mcp/run' : '/api/chat'),
+    key: auth.key || (auth.keyEnv ? process.env[auth.keyEnv] : undefined),
+    reqField: entry.reqField || (adapter === 'mcp' ? 'prompt' : 'input'),
+    respPath: entry.respPath || 'data.text|text|reply|response',
+    // aida-gateway
+    agentId: entry.agentId || 'puter',
+    action: entry.action || 'plan',
+    objectiveField: entry.objectiveField || 'objective',
+    // mcp
+    command: entry.command || 'arkaios.chat',
+    // tool calling: aida-gateway mapea pasos del plan; mcp solo las tools de `allow` (tool -> comando MCP)
+    tools: {
+      enabled: adapter !== 'custom' && (entry.tools?.enabled ?? (adapter !== 'mcp' || Object.keys(toolAllow).length > 0)),
+      allow: toolAllow,
+    },
+    // nombre que se envía como `model` a upstreams OpenAI
+    upstreamModel: entry.upstreamModel || id,
+    // cadena de fallback y condiciones que la disparan
+    fallback: (entry.fallback || []).map(f => String(f).toLowerCase()).filter(f => f !== id),
+    fallbackOn: {
+      status: (entry.fallbackOn?.status || DEFAULT_FALLBACK_STATUS).map(Number),
+      timeout: entry.fallbackOn?.timeout ?? true,
+      network: entry.fallbackOn?.network ?? true,
+      degraded: entry.fallbackOn?.degraded ?? true,
+    },
+    // si la cadena se agota con estos estados, se responde el texto degradado en 200
+    degradeOn: (entry.degradeOn || [429]).map(Number),
+    // cómo se convierte `messages` en el payload (reqField / objective / prompt)
+    prompt: {
+      format,
+      truncate,
+      maxChars: asInt(promptCfg.maxChars, asInt(PROMPT_MAX_CHARS, 16000)),
+      maxMessages: asInt(promptCfg.maxMessages, 0),
+      roles: { system: 'System', user: 'User', assistant: 'Assistant', tool: 'Tool', ...(promptCfg.roles || {}) },
+    },
+    // límites globales del modelo, compartidos por todas las llaves
+    limits: entry.limits || null,
+    // participa en la caché de respuestas si RESPONSE_CACHE=true
+    cache: { enabled: entry.cache?.enabled ?? true },
+    // backend simulado: escenario por defecto (ver "Backend simulado")
+    mock: mocked ? { scenario: String(mockCfg.scenario || 'ok') } : null,
+    timeoutMs: asInt(entry.timeoutMs, asInt(UPSTREAM_TIMEOUT_MS, 60000)),
+    breaker: {
+      enabled: entry.breaker?.enabled ?? true,
+      failureRate: Number(entry.breaker?.failureRate ?? BREAKER_FAILURE_RATE) || 0.5,
+      minRequests: asInt(entry.breaker?.minRequests, asInt(BREAKER_MIN_REQUESTS, 5)),
+      windowMs: asInt(entry.breaker?.windowMs, asInt(BREAKER_WINDOW_MS, 60000)),
+      cooldownMs: asInt(entry.breaker?.cooldownMs, asInt(BREAKER_COOLDOWN_MS, 30000)),
+      halfOpenMax: asInt(entry.breaker?.halfOpenMax, asInt(BREAKER_HALF_OPEN_MAX, 1)),
+    },
   };
 }
 
-async function callOpenAI({ base, key, modelName, messages, prompt, stream }) {
+function loadBackends() {
+  const file = PROXY_BACKENDS_FILE;
+  const fromFile = file && existsSync(file);
+  const source = fromFile ? file : 'env';
+  // .yaml / .yml se leen como YAML; cualquier otra extensión como JSON
+  const parse = /\.ya?ml$/i.test(file || '') ? parseYaml : JSON.parse;
+  const config = fromFile ? parse(readFileSync(file, 'utf8')) || {} : defaultBackendsConfig();
+  const list = (config.backends || []).map(entry => normalizeBackend(entry, source));
+  if (!list.length) throw new Error(`${source}: no hay backends configurados`);
+
+  const byName = new Map();
+  for (const b of list) {
+    for (const name of [b.name, ...b.aliases]) {
+      if (byName.has(name)) throw new Error(`${source}: id/alias duplicado "${name}"`);
+      byName.set(name, b);
+    }
+  }
+  const defaultModel = String(config.default || list[0].name).toLowerCase();
+  console.log(`[backends] ${list.map(b => `${b.name}(${b.adapter})`).join(', ')} desde ${source}`);
+  return { list, byName, defaultModel };
+}
+
+const registry = loadBackends();
+
+function pick(modelId) {
+  const m = String(modelId || registry.defaultModel).toLowerCase();
+  return registry.byName.get(m) || null;
+}
+
+// Error estilo OpenAI para modelos desconocidos
+const modelNotFound = (res, model) => res.status(404).json({
+  error: {
+    message: `The model '${model}' does not exist`,
+    type: 'invalid_request_error',
+    param: 'model',
+    code: 'model_not_found',
+  },
+});
+
+async function callOpenAI({ base, key, modelName, messages, prompt, tools, toolChoice, stream, signal, retry }) {
   const url = `${base}/v1/chat/completions`;
   const body = messages ? { model: modelName, messages, stream: !!stream }
                         : { model: modelName, prompt, stream: !!stream };
+  if (messages && tools?.length) body.tools = tools;
+  if (messages && toolChoice !== undefined) body.tool_choice = toolChoice;
   return fetchWithRetry(url, {
     method: 'POST',
     headers: { 'content-type': 'application/json', ...(key ? { authorization: `Bearer ${key}` } : {}) },
     body: JSON.stringify(body),
-  }, `openai:${modelName}`);
+    signal,
+  }, `openai:${modelName}`, retry);
+}
+
+// Reenvía el stream SSE del upstream OpenAI byte a byte, con keep-alive y cierre limpio.
+// Si el upstream falla antes del primer byte y aplica fallback, devuelve el fallo sin responder.
+async function proxyOpenAIStream(res, b, args, canFallback, ticket, onDone) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, b.timeoutMs);
+
+  let r;
+  try {
+    r = await callOpenAI({ ...args, stream: true, signal: controller.signal, retry: ticket.retry });
+  } catch (error) {
+    if (controller.signal.aborted && !timedOut) return null; // el cliente se desconectó durante los reintentos
+    const failure = errorFailure(b, error, timedOut);
+    breakerRecord(b, ticket, failure);
+    if (canFallback(failure)) return failure;
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+  if (!r.ok) {
+    const text = await r.text();
+    const failure = { backend: b.name, kind: 'status', status: r.status, url: r.url, body: text.slice(0, 600) };
+    breakerRecord(b, ticket, failure);
+    if (canFallback(failure)) return failure;
+    res.status(r.status).type(r.headers.get('content-type') || 'application/json').send(text);
+    return null;
+  }
+  breakerRecord(b, ticket, null);
+  setProxyHeaders(res, { backend: b.name, path: [b.name] });
+  pipeSSE(res, r.body, controller, onDone);
+  return null;
+}
+
+// `onDone({ text, usage })` recibe el texto y el `usage` observados en los eventos reenviados
+function pipeSSE(res, body, controller, onDone) {
+  const keepAliveMs = asInt(STREAM_KEEPALIVE_MS, 15000);
+  let lastWrite = Date.now();
+  // Los comentarios keep-alive solo se intercalan entre eventos completos
+  let atBoundary = true;
+  const seen = { text: '', usage: null };
+  let pending = '';
+  const observe = chunk => {
+    const lines = (pending + chunk.toString('utf8')).split('\n');
+    pending = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (!data || data === '[DONE]') continue;
+      try {
+        const j = JSON.parse(data);
+        const choice = j?.choices?.[0];
+        seen.text += choice?.delta?.content || choice?.text || '';
+        if (j?.usage) seen.usage = j.usage;
+      } catch {}
+    }
+  };
+  let done = false;
+  const report = () => {
+    if (done) return;
+    done = true;
+    onDone?.(seen);
+  };
+
+  openSSE(res);
+  const timer = setInterval(() => {
+    if (atBoundary && Date.now() - lastWrite >= keepAliveMs && !res.writableEnded) {
+      res.write(': keep-alive\n\n');
+      lastWrite = Date.now();
+    }
+  }, Math.max(1000, Math.floor(keepAliveMs / 2)));
+  const finish = () => {
+    clearInterval(timer);
+    if (!res.writableEnded) res.end();
+    report();
+  };
+
+  body.on('data', chunk => {
+    observe(chunk);
+    lastWrite = Date.now();
+    atBoundary = chunk.toString('utf8').endsWith('\n\n');
+    if (!res.write(chunk)) {
+      body.pause();
+      res.once('drain', () => body.resume());
+    }
+  });
+  body.on('end', finish);
+  body.on('error', error => {
+    if (!controller.signal.aborted) console.warn(`[stream] upstream error=${String(error?.message || error)}`);
+    finish();
+  });
+  res.on('close', () => {
+    clearInterval(timer);
+    body.destroy();
+    report();
+  });
 }
 
-async function callCustom({ base, path, key, reqField, payload }) {
+async function callCustom({ base, path, key, reqField, payload, signal, retry }) {
   const url = `${base}${path.startsWith('/') ? path : `/${path}`}`;
   const body = { [reqField]: payload, model: 'custom' };
   const r = await fetchWithRetry(url, {
     method: 'POST',
     headers: { 'content-type': 'application/json', ...(key ? { authorization: `Bearer ${key}` } : {}) },
     body: JSON.stringify(body),
-  }, 'custom');
+    signal,
+  }, 'custom', retry);
   const text = await r.text();
   return { ok: r.ok, status: r.status, text, url };
 }
 
 // Llamada específica al MCP HTTP wrapper
-async function callMCP({ base, path, payload }) {
+async function callMCP({ base, path, command = 'arkaios.chat', payload, tools, toolResults, signal, retry }) {
   const url = `${base}${path.startsWith('/') ? path : `/${path}`}`;
-  const body = { command: 'arkaios.chat', params: { prompt: payload } };
+  const body = { command, params: { prompt: payload } };
+  if (tools?.length) body.params.tools = tools;
+  if (toolResults?.length) body.params.tool_results = toolResults;
   const r = await fetchWithRetry(url, {
     method: 'POST',
     headers: { 'content-type': 'application/json' },
     body: JSON.stringify(body),
-  }, 'mcp');
+    signal,
+  }, 'mcp', retry);
   const text = await r.text();
   return { ok: r.ok, status: r.status, text, url };
 }
 
-function toOpenAIChat(text) {
-  return {
-    id: 'proxy-chat',
-    object: 'chat.completion',
-    choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
-  };
-}
-
-async function fallbackArkaiosToAida(lastPrompt) {
-  const a = pick('aida');
-  if (!a.base || a.mode !== 'gateway') {
-    return { ok: false, reason: 'aida_gateway_unavailable' };
-  }
-
-  const url = `${a.base}${a.path.startsWith('/') ? a.path : `/${a.path}`}`;
-  const authKey = a.authMode === 'public' ? a.keyPublic : a.keyInternal;
-  const body = { agent_id: a.agentId, action: a.action, params: { [a.objectiveField]: lastPrompt } };
-
+async function callAidaGateway({ b, payload, tools, toolResults, signal, retry }) {
+  const url = `${b.base}${b.path.startsWith('/') ? b.path : `/${b.path}`}`;
+  const body = { agent_id: b.agentId, action: b.action, params: { [b.objectiveField]: payload } };
+  if (tools?.length) body.params.tools = tools;
+  if (toolResults?.length) body.params.tool_results = toolResults;
   const r = await fetchWithRetry(url, {
     method: 'POST',
-    headers: { 'content-type': 'application/json', ...(authKey ? { authorization: `Bearer ${authKey}` } : {}) },
+    headers: { 'content-type': 'application/json', ...(b.key ? { authorization: `Bearer ${b.key}` } : {}) },
     body: JSON.stringify(body),
-  }, 'aida-fallback');
-
-  const txt = await r.text();
-  if (!r.ok) return { ok: false, status: r.status, body: txt.slice(0, 600) };
-
-  let out = txt;
-  try {
-    const j = JSON.parse(txt);
-    const objective = dotGet(j, `result.params.${a.objectiveField}`) || dotGet(j, `params.${a.objectiveField}`);
-    const picked = pickPath(j, AIDA_RESP_PATH) || j?.content;
-    const steps = dotGet(j, 'result.steps') || dotGet(j, 'steps') || dotGet(j, 'result.plan') || dotGet(j, 'plan');
-    const note = dotGet(j, 'result.note') || j?.note || dotGet(j, 'data.text') || j?.text;
-    const parts = [];
-    if (objective) parts.push(`Objetivo: ${objective}`);
-    if (typeof picked === 'string' && picked) parts.push(picked);
-    else if (note) parts.push(`${note}`);
-    if (Array.isArray(steps) && steps.length) {
-      const list = steps.map((s, i) => `${i + 1}. ${typeof s === 'string' ? s : JSON.stringify(s)}`).join('\n');
-      parts.push(list);
-    }
-    out = parts.length ? parts.join('\n') : (typeof picked === 'string' ? picked : JSON.stringify(j));
-  } catch {}
-
-  return { ok: true, text: out };
+    signal,
+  }, `aida-gateway:${b.name}`, retry);
+  const text = await r.text();
+  return { ok: r.ok, status: r.status, text, url };
 }
 
-async function fallbackArkaiosToLab(lastPrompt) {
-  const l = pick('lab');
-  if (!l.base || l.mode !== 'mcp') {
-    return { ok: false, reason: 'lab_mcp_unavailable' };
+/* ---------- Humanización de respuestas ---------- */
+// Objetivo + texto/nota + pasos numerados (formato del gateway AIDA y de LAB)
+function humanizePlan(j, { objectiveField = 'objective', respPath }) {
+  const objective = dotGet(j, `result.params.${objectiveField}`) || dotGet(j, `params.${objectiveField}`);
+  const picked = pickPath(j, respPath) || j?.content;
+  const steps = dotGet(j, 'result.steps') || dotGet(j, 'steps') || dotGet(j, 'result.plan') || dotGet(j, 'plan');
+  const note = dotGet(j, 'result.note') || j?.note || dotGet(j, 'data.text') || j?.text;
+  const parts = [];
+  if (objective) parts.push(`Objetivo: ${objective}`);
+  if (typeof picked === 'string' && picked) parts.push(picked);
+  else if (note) parts.push(`${note}`);
+  if (Array.isArray(steps) && steps.length) {
+    const list = steps.map((s, i) => `${i + 1}. ${typeof s === 'string' ? s : JSON.stringify(s)}`).join('\n');
+    parts.push(list);
   }
+  return { parts, picked };
+}
 
-  const { ok, status, text, url } = await callMCP({ base: l.base, path: l.path, payload: lastPrompt });
-  if (!ok) return { ok: false, status, body: text.slice(0, 600), url };
+function humanizeAida(text, b) {
+  try {
+    const j = JSON.parse(text);
+    const { parts, picked } = humanizePlan(j, b);
+    return parts.length ? parts.join('\n') : (typeof picked === 'string' ? picked : JSON.stringify(j));
+  } catch {
+    return text;
+  }
+}
 
-  let out = text;
+// Devuelve { text, degraded } — LAB marca `result.via = "degraded"` cuando está saturado
+function humanizeMCP(text, b, prompt) {
   try {
     const j = JSON.parse(text);
-    const picked = pickPath(j, `${l.respPath}|result.reply.message|reply.message|message`);
-    const via = dotGet(j, 'result.via') || j.via;
-    if (via === 'degraded') {
-      out = typeof picked === 'string' && picked.trim() ? picked : buildDegradedText(lastPrompt);
-    } else {
-      out = typeof picked === 'string' ? picked : (j.text || j.reply || j.response || j.content || JSON.stringify(j));
+    const origin = dotGet(j, 'result.via') || j.via || undefined;
+    const payload = dotGet(j, 'result.reply') || j.reply || j.result || j;
+    const { parts, picked } = humanizePlan(payload, { respPath: `${b.respPath}|message|result.message|reply.message` });
+    if (origin === 'degraded') {
+      return { text: typeof picked === 'string' && picked.trim() ? picked : buildDegradedText(prompt), degraded: true };
     }
-  } catch {}
-  return { ok: true, text: out };
+    if (origin) parts.push(`via: ${origin}`);
+    return { text: parts.length ? parts.join('\n') : (typeof picked === 'string' ? picked : JSON.stringify(j)), degraded: false };
+  } catch {
+    return { text, degraded: false };
+  }
 }
 
-/* ---------- /v1/models ---------- */
-app.get('/v1/models', (_req, res) => {
-  res.json({
-    object: 'list',
-    data: [
-      { id: 'arkaios', object: 'model', owned_by: 'arkaios' },
-      { id: 'aida', object: 'model', owned_by: 'aida' },
-      { id: 'lab', object: 'model', owned_by: 'arkaios-lab' },
-    ],
-  });
-});
+function humanizeCustom(text, b) {
+  try {
+    const j = JSON.parse(text);
+    const picked = pickPath(j, b.respPath);
+    return typeof picked === 'string' ? picked :
+           (j.text || j.reply || j.response || j.content || JSON.stringify(j));
+  } catch {
+    return text;
+  }
+}
 
-/* ---------- /v1/chat/completions ---------- */
-app.post('/v1/chat/completions', async (req, res) => {
+function humanizeOpenAI(text) {
   try {
-    const { model = 'arkaios', messages = [], stream = false } = req.body || {};
-    const b = pick(model);
-    if (!b.base) return res.status(500).json({ error: `Missing base URL for ${b.name}` });
+    const j = JSON.parse(text);
+    const choice = j?.choices?.[0];
+    const content = choice?.message?.content ?? choice?.text;
+    return typeof content === 'string' ? content : JSON.stringify(j);
+  } catch {
+    return text;
+  }
+}
 
-    // OpenAI directo
-    if (b.openai) {
-      const k = b.keyInternal; // si tu backend OpenAI requiere llave
-      const r = await callOpenAI({ base: b.base, key: k, modelName: b.name, messages, stream });
-      const dataText = await r.text();
-      if (stream) {
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        return res.send(dataText);
-      }
-      return r.ok ? res.type('application/json').send(dataText) : res.status(r.status).send(dataText);
-    }
+/* ---------- Tool calling ---------- */
+// Los backends no-OpenAI no entienden `tools`; el proxy traduce en ambos sentidos:
+//   aida-gateway -> los pasos del plan cuyo `tool`/`name`/`action` coincide con una tool declarada pasan a `tool_calls`
+//   mcp          -> `tools.allow` mapea nombre de tool -> comando MCP; LAB solo ve y emite tools de esa lista
+// Los ids llevan el backend (`call_<backend>_<hex>`) para que los mensajes `role: "tool"` vuelvan a quien los pidió.
 
-    const last = messages?.length ? messages[messages.length - 1].content : '';
+// Tools de función declaradas por el cliente (formato chat `{ type, function }` o Responses `{ type, name }`)
+const declaredTools = tools => (Array.isArray(tools) ? tools : [])
+  .filter(t => t?.type === 'function')
+  .map(t => {
+    const fn = t.function || t;
+    return { name: String(fn.name || ''), description: fn.description, parameters: fn.parameters };
+  })
+  .filter(t => t.name);
 
-    // ---- AIDA modo gateway ----
-    if (b.name === 'aida' && b.mode === 'gateway') {
-      const url = `${b.base}${b.path.startsWith('/') ? b.path : `/${b.path}`}`;
-      const authKey = b.authMode === 'public' ? b.keyPublic : b.keyInternal;
-      const body = { agent_id: b.agentId, action: b.action, params: { [b.objectiveField]: last } };
+// Tools que se ofrecen al backend, respetando `tool_choice` ('none' | 'auto' | 'required' | función concreta)
+function offeredTools(b, { tools, toolChoice }) {
+  if (!b.tools.enabled || toolChoice === 'none') return [];
+  let list = declaredTools(tools);
+  if (b.adapter === 'mcp') list = list.filter(t => Object.hasOwn(b.tools.allow, t.name));
+  const forced = toolChoice?.function?.name || (toolChoice?.type === 'function' ? toolChoice.name : undefined);
+  return forced ? list.filter(t => t.name === forced) : list;
+}
 
-      const r = await fetchWithRetry(url, {
-        method: 'POST',
-        headers: { 'content-type': 'application/json', ...(authKey ? { authorization: `Bearer ${authKey}` } : {}) },
-        body: JSON.stringify(body),
-      }, 'aida-gateway');
+// Paso de plan -> { name, args }. Acepta { tool|name|action, arguments|args|params|input } y { function: { name, arguments } }
+function stepCall(step) {
+  if (!step || typeof step !== 'object') return null;
+  const fn = step.function && typeof step.function === 'object' ? step.function : step;
+  const name = fn.tool || fn.name || fn.action;
+  if (typeof name !== 'string' || !name) return null;
+  return { name, args: fn.arguments ?? fn.args ?? fn.params ?? fn.input ?? {} };
+}
 
-      const txt = await r.text();
-      if (!r.ok) return res.status(502).json({ error: `Backend aida ${r.status} @ ${url}`, body: txt.slice(0, 600) });
+// Pasos/`tool_calls` de la respuesta upstream que coinciden con las tools ofrecidas -> tool_calls OpenAI
+function planToolCalls(b, text, offered) {
+  if (!offered.length) return [];
+  let j;
+  try {
+    j = JSON.parse(text);
+  } catch {
+    return [];
+  }
+  const names = new Set(offered.map(t => t.name));
+  const lists = new Set();
+  for (const scope of [j, j?.result, j?.reply, j?.result?.reply]) {
+    if (!scope || typeof scope !== 'object') continue;
+    for (const field of ['tool_calls', 'steps', 'plan']) if (Array.isArray(scope[field])) lists.add(scope[field]);
+  }
+  const calls = [];
+  for (const step of [...lists].flat()) {
+    const call = stepCall(step);
+    if (!call || !names.has(call.name)) continue;
+    calls.push({
+      id: `call_${b.name}_${randomBytes(8).toString('hex')}`,
+      type: 'function',
+      function: { name: call.name, arguments: typeof call.args === 'string' ? call.args : JSON.stringify(call.args) },
+    });
+  }
+  return calls;
+}
 
-      // Humanizar salida AIDA
-      let out = txt;
-      try {
-        const j = JSON.parse(txt);
-        const objective = dotGet(j, `result.params.${b.objectiveField}`) || dotGet(j, `params.${b.objectiveField}`);
-        const picked = pickPath(j, AIDA_RESP_PATH) || j?.content;
-        const steps = dotGet(j, 'result.steps') || dotGet(j, 'steps') || dotGet(j, 'result.plan') || dotGet(j, 'plan');
-        const note = dotGet(j, 'result.note') || j?.note || dotGet(j, 'data.text') || j?.text;
-        let parts = [];
-        if (objective) parts.push(`Objetivo: ${objective}`);
-        if (typeof picked === 'string' && picked) parts.push(picked);
-        else if (note) parts.push(`${note}`);
-        if (Array.isArray(steps) && steps.length) {
-          const list = steps.map((s, i) => `${i + 1}. ${typeof s === 'string' ? s : JSON.stringify(s)}`).join('\n');
-          parts.push(list);
-        }
-        out = parts.length ? parts.join('\n') : (typeof picked === 'string' ? picked : JSON.stringify(j));
-      } catch {}
-      return res.json(toOpenAIChat(out));
-    }
+function openAIToolCalls(text) {
+  try {
+    const calls = JSON.parse(text)?.choices?.[0]?.message?.tool_calls;
+    return Array.isArray(calls) ? calls : [];
+  } catch {
+    return [];
+  }
+}
 
-    // ---- LAB MCP wrapper ----
-    if (b.name === 'lab' && b.mode === 'mcp') {
-      const { ok, status, text, url } = await callMCP({ base: b.base, path: b.path, payload: last });
-      if (!ok) {
-        // Si LAB esta protegido/saturado, devolver degradado en 200 y no romper flujo.
-        if (Number(status) === 429 || Number(status) === 403) {
-          return res.json(toOpenAIChat(buildDegradedText(last)));
-        }
-        return res.status(502).json({ error: `Backend lab ${status} @ ${url}`, body: text.slice(0, 600) });
-      }
-      let out = text;
-      try {
-        const j = JSON.parse(text);
-        // Humanización similar a AIDA, adaptada al wrapper MCP
-        const origin = dotGet(j, 'result.via') || j.via || undefined;
-        const payload = dotGet(j, 'result.reply') || j.reply || j.result || j;
-        const objective = dotGet(payload, 'result.params.objective') || dotGet(payload, 'params.objective');
-        const picked = pickPath(payload, `${b.respPath}|message|result.message|reply.message`) || payload?.content;
-        const steps = dotGet(payload, 'result.steps') || dotGet(payload, 'steps') || dotGet(payload, 'result.plan') || dotGet(payload, 'plan');
-        const note = dotGet(payload, 'result.note') || payload?.note || dotGet(payload, 'data.text') || payload?.text;
-        if (origin === 'degraded') {
-          const degraded = typeof picked === 'string' && picked.trim() ? picked : buildDegradedText(last);
-          return res.json(toOpenAIChat(degraded));
-        }
-        let parts = [];
-        if (objective) parts.push(`Objetivo: ${objective}`);
-        if (typeof picked === 'string' && picked) parts.push(picked);
-        else if (note) parts.push(`${note}`);
-        if (Array.isArray(steps) && steps.length) {
-          const list = steps.map((s, i) => `${i + 1}. ${typeof s === 'string' ? s : JSON.stringify(s)}`).join('\n');
-          parts.push(list);
-        }
-        if (origin) parts.push(`via: ${origin}`);
-        out = parts.length ? parts.join('\n') : (typeof picked === 'string' ? picked : JSON.stringify(j));
-      } catch {}
-      return res.json(toOpenAIChat(out));
+// Mensajes `role: "tool"` al final de la conversación (resultados pendientes de procesar)
+function pendingToolResults(messages) {
+  const results = [];
+  for (let i = (messages || []).length - 1; i >= 0 && messages[i]?.role === 'tool'; i--) {
+    const m = messages[i];
+    const call = messages.flatMap(msg => msg?.tool_calls || []).find(c => c.id === m.tool_call_id);
+    results.unshift({ tool_call_id: m.tool_call_id, name: m.name || call?.function?.name, output: contentText(m.content) });
+  }
+  return results;
+}
+
+// Backend que emitió los tool_calls a los que responde la conversación (si la llave puede usarlo)
+function toolResultsBackend(messages, key) {
+  const origins = new Set();
+  for (const { tool_call_id: id } of pendingToolResults(messages)) {
+    const origin = registry.list
+      .filter(b => String(id || '').startsWith(`call_${b.name}_`))
+      .sort((a, c) => c.name.length - a.name.length)[0];
+    if (origin) origins.add(origin);
+  }
+  if (origins.size !== 1) return null;
+  const [origin] = origins;
+  return keyAllowsModel(key, origin.name) ? origin : null;
+}
+
+/* ---------- Circuit breaker por backend ---------- */
+// Estado compartido entre peticiones: closed -> open (tasa de fallos sobre la ventana) -> half_open (tras cooldown) -> closed
+const breakers = new Map(); // backend -> { state, outcomes, openedAt, probes, lastFailure }
+
+function breakerFor(name) {
+  let br = breakers.get(name);
+  if (!br) {
+    br = { state: 'closed', outcomes: [], openedAt: null, probes: 0, lastFailure: null };
+    breakers.set(name, br);
+  }
+  return br;
+}
+
+// Pide permiso para llamar al backend. Devuelve un ticket { allowed, probe, retry } que se cierra con breakerRecord.
+function breakerAcquire(b) {
+  const cfg = b.breaker;
+  if (!cfg.enabled) return { allowed: true };
+  const br = breakerFor(b.name);
+  if (br.state === 'open') {
+    if (Date.now() - br.openedAt < cfg.cooldownMs) return { allowed: false };
+    br.state = 'half_open';
+    br.probes = 0;
+    console.warn(`[breaker] ${b.name} half_open`);
+  }
+  if (br.state === 'half_open') {
+    if (br.probes >= cfg.halfOpenMax) return { allowed: false };
+    br.probes += 1;
+    // La sonda es un único intento: no tiene sentido reintentar contra un upstream en duda
+    return { allowed: true, probe: true, retry: { maxAttempts: 1 } };
+  }
+  return { allowed: true, retry: { stopIf: () => br.state === 'open' } };
+}
+
+function tripBreaker(b, br) {
+  br.state = 'open';
+  br.openedAt = Date.now();
+  br.outcomes = [];
+  console.warn(`[breaker] ${b.name} open (cooldown ${b.breaker.cooldownMs}ms)`);
+}
+
+function breakerRecord(b, ticket, failure) {
+  if (!b.breaker.enabled || !ticket?.allowed) return;
+  const cfg = b.breaker;
+  const br = breakerFor(b.name);
+  const now = Date.now();
+  const failed = isUpstreamFailure(failure);
+  if (failed) br.lastFailure = { at: now, kind: failure.kind, status: failure.status, error: failure.error };
+
+  if (ticket.probe) {
+    br.probes = Math.max(0, br.probes - 1);
+    if (failed) return tripBreaker(b, br);
+    br.state = 'closed';
+    br.outcomes = [];
+    console.warn(`[breaker] ${b.name} closed`);
+    return;
+  }
+  br.outcomes = br.outcomes.filter(o => now - o.at <= cfg.windowMs);
+  br.outcomes.push({ at: now, failed });
+  if (br.state !== 'closed') return;
+  const failures = br.outcomes.filter(o => o.failed).length;
+  if (br.outcomes.length >= cfg.minRequests && failures / br.outcomes.length >= cfg.failureRate) tripBreaker(b, br);
+}
+
+// Solo cuentan como fallo la indisponibilidad del upstream (red, timeout, 429, 5xx); un 4xx es culpa del cliente
+const isUpstreamFailure = failure => !!failure && (
+  failure.kind === 'timeout' ||
+  failure.kind === 'network' ||
+  (failure.kind === 'status' && shouldRetryStatus(Number(failure.status)))
+);
+
+const circuitOpenFailure = b => ({ backend: b.name, kind: 'circuit_open', error: `Circuit open for ${b.name}` });
+
+function breakerSnapshot(b) {
+  const br = breakerFor(b.name);
+  const now = Date.now();
+  const recent = br.outcomes.filter(o => now - o.at <= b.breaker.windowMs);
+  return {
+    enabled: b.breaker.enabled,
+    state: br.state,
+    requests: recent.length,
+    failures: recent.filter(o => o.failed).length,
+    opened_at: br.openedAt,
+    retry_at: br.state === 'open' ? br.openedAt + b.breaker.cooldownMs : null,
+    last_failure: br.lastFailure,
+  };
+}
+
+/* ---------- Fallback ---------- */
+const errorFailure = (b, error, timedOut) => ({
+  backend: b.name,
+  kind: timedOut ? 'timeout' : 'network',
+  error: String(error?.message || error),
+});
+
+// ¿El fallo dispara el siguiente backend según la política `fallbackOn` del modelo pedido?
+const triggersFallback = (primary, failure) => {
+  const on = primary.fallbackOn;
+  if (failure.kind === 'status') return on.status.includes(Number(failure.status));
+  if (failure.kind === 'timeout') return on.timeout;
+  if (failure.kind === 'network') return on.network;
+  if (failure.kind === 'degraded') return on.degraded;
+  return true; // not_configured u otros fallos locales
+};
+
+// Llama a un backend en modo no-stream y normaliza la salida a texto (y tool_calls si los hay).
+// `input` = { messages, prompt, tools, toolChoice }. Devuelve { ok: true, text, toolCalls } o { ok: false, failure }.
+async function callBackend(b, input) {
+  if (!b.base) return { ok: false, failure: { backend: b.name, kind: 'not_configured', error: `Missing base URL for ${b.name}` } };
+  const ticket = breakerAcquire(b);
+  if (!ticket.allowed) return { ok: false, failure: circuitOpenFailure(b) };
+  const result = await callAdapter(b, { ...input, retry: ticket.retry });
+  breakerRecord(b, ticket, result.failure);
+  return result;
+}
+
+async function callAdapter(b, { messages, prompt, tools, toolChoice, retry }) {
+  const payload = b.adapter === 'openai' ? null : renderPrompt(b, { messages, prompt });
+  const offered = b.adapter === 'openai' ? [] : offeredTools(b, { tools, toolChoice });
+  const toolResults = b.adapter === 'openai' ? [] : pendingToolResults(messages);
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, b.timeoutMs);
+  const signal = controller.signal;
+  try {
+    let r;
+    if (b.adapter === 'openai') {
+      const upstream = await callOpenAI({
+        base: b.base, key: b.key, modelName: b.upstreamModel,
+        messages: messages || [{ role: 'user', content: prompt }], tools, toolChoice, signal, retry,
+      });
+      r = { ok: upstream.ok, status: upstream.status, text: await upstream.text(), url: upstream.url };
+    } else if (b.adapter === 'aida-gateway') {
+      r = await callAidaGateway({ b, payload, tools: offered, toolResults, signal, retry });
+    } else if (b.adapter === 'mcp') {
+      // Los resultados de una tool van al comando MCP que la implementa
+      const last = toolResults[toolResults.length - 1];
+      const command = last && Object.hasOwn(b.tools.allow, last.name) ? b.tools.allow[last.name] : b.command;
+      r = await callMCP({ base: b.base, path: b.path, command, payload, tools: offered, toolResults, signal, retry });
+    } else {
+      r = await callCustom({ base: b.base, path: b.path, key: b.key, reqField: b.reqField, payload, signal, retry });
     }
 
-    // ---- Custom genérico (ARKAIOS u otros no-OpenAI) ----
-    const k = b.keyInternal;
-    const { ok, status, text, url } = await callCustom({
-      base: b.base, path: b.path, key: k, reqField: b.reqField, payload: last
-    });
-    if (!ok) {
-      // Degradacion controlada: si arkaios esta rate-limited, intentar AIDA gateway.
-      if (b.name === 'arkaios' && status === 429) {
-        const fb = await fallbackArkaiosToAida(last);
-        if (fb.ok) {
-          return res.json(toOpenAIChat(fb.text));
-        }
-        const fl = await fallbackArkaiosToLab(last);
-        if (fl.ok) {
-          return res.json(toOpenAIChat(fl.text));
-        }
-        // Si ambos proveedores estan rate-limited, responder degradado en 200 para no romper flujo.
-        if (Number(fb.status) === 429 && Number(fl.status || 429) === 429) {
-          const degraded = [
-            'Servicio temporalmente saturado (rate-limit en proveedores).',
-            'Tu solicitud fue recibida y el sistema esta en modo degradado.',
-            `Prompt: ${last || '(vacio)'}`,
-            'Sugerencia: reintentar en 30-90 segundos.',
-          ].join('\n');
-          return res.json(toOpenAIChat(degraded));
-        }
-        return res.status(502).json({
-          error: `Backend ${b.name} ${status} @ ${url}`,
-          body: text.slice(0, 600),
-          fallback_error: fb,
-          fallback_lab_error: fl,
-        });
-      }
-      return res.status(502).json({ error: `Backend ${b.name} ${status} @ ${url}`, body: text.slice(0, 600) });
+    if (!r.ok) {
+      return { ok: false, failure: { backend: b.name, kind: 'status', status: r.status, url: r.url, body: r.text.slice(0, 600) } };
+    }
+    const usage = extractUsage(r.text);
+    if (b.adapter === 'openai') return { ok: true, text: humanizeOpenAI(r.text), raw: r.text, usage, toolCalls: openAIToolCalls(r.text) };
+    if (b.adapter === 'aida-gateway') return { ok: true, text: humanizeAida(r.text, b), usage, toolCalls: planToolCalls(b, r.text, offered) };
+    if (b.adapter === 'mcp') {
+      const out = humanizeMCP(r.text, b, prompt);
+      if (out.degraded) return { ok: false, failure: { backend: b.name, kind: 'degraded', url: r.url, text: out.text } };
+      return { ok: true, text: out.text, usage, toolCalls: planToolCalls(b, r.text, offered) };
     }
+    return { ok: true, text: humanizeCustom(r.text, b), usage };
+  } catch (error) {
+    return { ok: false, failure: errorFailure(b, error, timedOut) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-    let out = text;
+// Recorre [primario, ...primary.fallback] hasta obtener respuesta.
+// `failures` permite continuar la cadena tras un intento previo (p.ej. el stream OpenAI).
+// Los fallbacks que la llave no puede usar (`models` de keys.json) se saltan como fallo `not_allowed`.
+async function runChain(primary, input, failures = [], key = null) {
+  const chain = [primary.name, ...primary.fallback];
+  const path = [];
+  for (const name of chain) {
+    path.push(name);
+    const last = failures[failures.length - 1];
+    if (last?.backend === name) {
+      if (!triggersFallback(primary, last)) break;
+      continue;
+    }
+    const b = pick(name);
+    if (b && b !== primary && !keyAllowsModel(key, b.name)) {
+      failures.push({ backend: name, kind: 'not_allowed', error: `API key '${key.name}' is not allowed to use model '${name}'` });
+      continue;
+    }
+    // El primario ya se cobró al entrar (applyRateLimit); cada fallback llamado cobra sus límites por modelo
+    const limits = b && b !== primary ? takeBackendLimits(key, b) : null;
+    if (limits?.blocked) {
+      failures.push({ backend: name, kind: 'rate_limited', error: limits.blocked.message });
+      continue;
+    }
+    let result;
     try {
-      const j = JSON.parse(text);
-      const picked = pickPath(j, b.respPath);
-      out = typeof picked === 'string' ? picked :
-            (j.text || j.reply || j.response || j.content || JSON.stringify(j));
-    } catch {}
-    return res.json(toOpenAIChat(out));
-  } catch (e) {
-    res.status(500).json({ error: String(e?.message || e) });
+      result = b
+        ? await callBackend(b, input)
+        : { ok: false, failure: { backend: name, kind: 'not_configured', error: `Unknown fallback backend ${name}` } };
+    } finally {
+      limits?.release();
+    }
+    if (result.ok) return { ...result, backend: name, path, failures };
+    failures.push(result.failure);
+    if (b && b !== primary) console.warn(`[fallback] ${primary.name}: ${name} falló (${result.failure.kind} ${result.failure.status || ''})`);
+    // El degradado "via" es la última respuesta útil si nadie más contesta
+    if (result.failure.kind === 'degraded' && !triggersFallback(primary, result.failure)) {
+      return { ok: true, text: result.failure.text, degraded: true, backend: name, path, failures };
+    }
+    if (!triggersFallback(primary, result.failure)) break;
   }
+
+  // Cadena agotada: degradado amigable si todos los fallos son de saturación
+  const viaDegraded = [...failures].reverse().find(f => f.kind === 'degraded');
+  const degradable = failures.every(f => ['degraded', 'circuit_open', 'not_allowed', 'rate_limited'].includes(f.kind) ||
+    (f.kind === 'status' && primary.degradeOn.includes(Number(f.status))));
+  if (viaDegraded) {
+    return { ok: true, text: viaDegraded.text, degraded: true, backend: viaDegraded.backend, path, failures };
+  }
+  if (degradable) {
+    return { ok: true, text: buildDegradedText(input.prompt), degraded: true, backend: 'degraded', path, failures };
+  }
+  return { ok: false, path, failures };
+}
+
+function setProxyHeaders(res, { backend, path, degraded }) {
+  res.setHeader('x-proxy-backend', backend);
+  res.setHeader('x-proxy-fallback-path', path.join(','));
+  if (degraded) res.setHeader('x-proxy-degraded', 'true');
+}
+
+// Extensión no estándar incluida en respuestas no-stream para distinguir respuestas reales de fallbacks
+const proxyMeta = result => ({
+  backend: result.backend,
+  fallback_path: result.path,
+  degraded: !!result.degraded,
 });
 
-/* ---------- /v1/completions ---------- */
-app.post('/v1/completions', async (req, res) => {
+function toOpenAIChat(text, meta, usage, toolCalls) {
+  const message = toolCalls?.length
+    ? { role: 'assistant', content: null, tool_calls: toolCalls }
+    : { role: 'assistant', content: text };
+  return {
+    id: 'proxy-chat',
+    object: 'chat.completion',
+    choices: [{ index: 0, message, finish_reason: toolCalls?.length ? 'tool_calls' : 'stop' }],
+    ...(usage ? { usage } : {}),
+    ...(meta ? { proxy: meta } : {}),
+  };
+}
+
+function toOpenAIText(text, meta, usage) {
+  return {
+    id: 'proxy-txt',
+    object: 'text_completion',
+    choices: [{ index: 0, text, finish_reason: 'stop' }],
+    ...(usage ? { usage } : {}),
+    ...(meta ? { proxy: meta } : {}),
+  };
+}
+
+/* ---------- SSE (stream simulado) ---------- */
+const openSSE = res => {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders?.();
+};
+const writeSSE = (res, data) => res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+
+// Emite `text` como una secuencia de eventos construidos por `makeEvent(piece, finishReason)` y cierra con [DONE].
+// `first` y `last` son eventos opcionales al inicio y antes de [DONE] (p.ej. el chunk de usage).
+async function streamText(res, text, makeEvent, first, last) {
+  const size = asInt(STREAM_CHUNK_CHARS, 48);
+  const delay = Number.parseInt(STREAM_CHUNK_DELAY_MS, 10) || 0;
+  openSSE(res);
+  if (first) writeSSE(res, first);
+  for (const piece of chunkText(text, size)) {
+    if (res.writableEnded || res.destroyed) return;
+    writeSSE(res, makeEvent(piece, null));
+    if (delay > 0) await sleep(delay);
+  }
+  writeSSE(res, makeEvent(null, 'stop'));
+  if (last) writeSSE(res, last);
+  writeSSE(res, '[DONE]');
+  res.end();
+}
+
+// Respuesta chat.completion, o stream de chat.completion.chunk si el cliente pidió stream.
+// En stream, `usage` solo se envía si el cliente pidió `stream_options.include_usage` (como OpenAI).
+// Con `toolCalls` el mensaje no lleva contenido y termina con finish_reason 'tool_calls'.
+function sendChat(res, text, { stream, model, meta, usage, includeUsage, toolCalls } = {}) {
+  if (!stream) return res.json(toOpenAIChat(text, meta, usage, toolCalls));
+  const created = Math.floor(Date.now() / 1000);
+  const chunk = (delta, finishReason) => ({
+    id: 'proxy-chat',
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+  });
+  const usageChunk = includeUsage && usage ? { id: 'proxy-chat', object: 'chat.completion.chunk', created, model, choices: [], usage } : null;
+  if (toolCalls?.length) {
+    openSSE(res);
+    writeSSE(res, chunk({ role: 'assistant', content: null }, null));
+    toolCalls.forEach((call, index) => writeSSE(res, chunk({ tool_calls: [{ index, ...call }] }, null)));
+    writeSSE(res, chunk({}, 'tool_calls'));
+    if (usageChunk) writeSSE(res, usageChunk);
+    writeSSE(res, '[DONE]');
+    return res.end();
+  }
+  return streamText(
+    res,
+    text,
+    (piece, finishReason) => chunk(piece === null ? {} : { content: piece }, finishReason),
+    chunk({ role: 'assistant', content: '' }, null),
+    usageChunk,
+  );
+}
+
+// Respuesta text_completion, en stream si se solicitó
+function sendCompletion(res, text, { stream, model, meta, usage, includeUsage } = {}) {
+  if (!stream) return res.json(toOpenAIText(text, meta, usage));
+  const created = Math.floor(Date.now() / 1000);
+  return streamText(res, text, (piece, finishReason) => ({
+    id: 'proxy-txt',
+    object: 'text_completion',
+    created,
+    model,
+    choices: [{ index: 0, text: piece || '', finish_reason: finishReason }],
+  }), null, includeUsage && usage ? { id: 'proxy-txt', object: 'text_completion', created, model, choices: [], usage } : null);
+}
+
+/* ---------- Uso (tokens) ---------- */
+// Estimación local cuando el upstream no informa `usage`: 1 token por palabra corta o signo
+// y ~4 caracteres por token en palabras largas (aproximación al BPE de OpenAI).
+const estimateTokens = text => {
+  let n = 0;
+  for (const m of String(text || '').matchAll(/[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu)) {
+    n += m[0].length > 4 ? Math.ceil(m[0].length / 4) : 1;
+  }
+  return n;
+};
+
+// Mismo criterio que OpenAI para chat: ~4 tokens de formato por mensaje + 3 de cebado
+const estimatePromptTokens = ({ messages, prompt }) => (messages
+  ? messages.reduce((acc, m) => acc + 4 + estimateTokens(contentText(m?.content)), 3)
+  : estimateTokens(Array.isArray(prompt) ? prompt.join('\n') : prompt));
+
+function normalizeUsage(u) {
+  if (!u || typeof u !== 'object') return null;
+  const promptTokens = Number(u.prompt_tokens ?? u.input_tokens);
+  const completionTokens = Number(u.completion_tokens ?? u.output_tokens);
+  if (!Number.isFinite(promptTokens) || !Number.isFinite(completionTokens)) return null;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: Number(u.total_tokens) || promptTokens + completionTokens,
+  };
+}
+
+const extractUsage = text => {
   try {
-    const { model = 'arkaios', prompt = '', stream = false } = req.body || {};
-    const b = pick(model);
-    if (!b.base) return res.status(500).json({ error: `Missing base URL for ${b.name}` });
+    const j = JSON.parse(text);
+    return normalizeUsage(j?.usage || dotGet(j, 'result.usage') || dotGet(j, 'data.usage'));
+  } catch {
+    return null;
+  }
+};
+
+// Usa los conteos del upstream si existen; si no, estima localmente
+function buildUsage(upstream, input, text) {
+  const normalized = normalizeUsage(upstream);
+  if (normalized) return { usage: normalized, estimated: false };
+  const promptTokens = estimatePromptTokens(input);
+  const completionTokens = estimateTokens(text);
+  return {
+    usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+    estimated: true,
+  };
+}
 
-    if (b.openai) {
-      const r = await callOpenAI({ base: b.base, key: b.keyInternal, modelName: b.name, prompt, stream });
-      const dataText = await r.text();
-      return r.ok ? res.type('application/json').send(dataText) : res.status(r.status).send(dataText);
+// Registro append-only en USAGE_STORE (JSONL): una línea por respuesta servida
+let usageDirReady = null;
+// `cached`: respondido desde la caché; `backend` es el que generó la respuesta guardada
+function recordUsage({ key, model, backend, usage, estimated, degraded, cached }) {
+  if (!USAGE_STORE) return;
+  const line = JSON.stringify({ ts: Date.now(), key, model, backend, ...usage, estimated: !!estimated, degraded: !!degraded, cached: !!cached });
+  usageDirReady ||= mkdir(dirname(USAGE_STORE), { recursive: true });
+  usageDirReady
+    .then(() => appendFile(USAGE_STORE, `${line}\n`))
+    .catch(error => console.warn(`[usage] no se pudo registrar: ${String(error?.message || error)}`));
+}
+
+// Acepta epoch en segundos o milisegundos, o una fecha ISO
+const parseTime = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const n = Number(value);
+  if (Number.isFinite(n)) return n < 1e12 ? n * 1000 : n;
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const USAGE_GROUPS = {
+  key: r => r.key,
+  model: r => r.model,
+  backend: r => r.backend,
+  day: r => new Date(r.ts).toISOString().slice(0, 10),
+  month: r => new Date(r.ts).toISOString().slice(0, 7),
+};
+
+async function aggregateUsage({ from, to, groupBy, onlyKey }) {
+  const groups = new Map();
+  if (!USAGE_STORE || !existsSync(USAGE_STORE)) return [];
+  const lines = createInterface({ input: createReadStream(USAGE_STORE, 'utf8'), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line) continue;
+    let r;
+    try {
+      r = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (r.ts < from || r.ts >= to) continue;
+    if (onlyKey && r.key !== onlyKey) continue;
+    const dims = Object.fromEntries(groupBy.map(g => [g, USAGE_GROUPS[g](r)]));
+    const id = JSON.stringify(dims);
+    const agg = groups.get(id) || {
+      ...dims, requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, estimated_requests: 0, degraded_requests: 0, cached_requests: 0, cached_tokens: 0,
+    };
+    agg.requests += 1;
+    // Los hits de caché no consumieron cuota del upstream: sus tokens se informan aparte
+    if (r.cached) {
+      agg.cached_requests += 1;
+      agg.cached_tokens += r.total_tokens || 0;
+      groups.set(id, agg);
+      continue;
+    }
+    agg.prompt_tokens += r.prompt_tokens || 0;
+    agg.completion_tokens += r.completion_tokens || 0;
+    agg.total_tokens += r.total_tokens || 0;
+    if (r.estimated) agg.estimated_requests += 1;
+    if (r.degraded) agg.degraded_requests += 1;
+    groups.set(id, agg);
+  }
+  return [...groups.values()];
+}
+
+/* ---------- Rate limiting y cuotas ---------- */
+// Token bucket (peticiones por minuto), peticiones en vuelo y cuotas diarias/mensuales.
+// Se evalúan por llave, por llave+modelo (`limits.models`) y por modelo (`limits` del backend).
+// Buckets y cuotas se persisten en RATE_LIMIT_STORE para sobrevivir reinicios.
+function loadLimiterState() {
+  try {
+    if (RATE_LIMIT_STORE && existsSync(RATE_LIMIT_STORE)) {
+      const state = JSON.parse(readFileSync(RATE_LIMIT_STORE, 'utf8'));
+      return { buckets: state.buckets || {}, quotas: state.quotas || {} };
     }
+  } catch (error) {
+    console.warn(`[ratelimit] no se pudo leer ${RATE_LIMIT_STORE}: ${String(error?.message || error)}`);
+  }
+  return { buckets: {}, quotas: {} };
+}
 
-    if (b.name === 'aida' && b.mode === 'gateway') {
-      const url = `${b.base}${b.path.startsWith('/') ? b.path : `/${b.path}`}`;
-      const authKey = b.authMode === 'public' ? b.keyPublic : b.keyInternal;
-      const body = { agent_id: b.agentId, action: b.action, params: { [b.objectiveField]: prompt } };
+const limiter = { ...loadLimiterState(), inFlight: new Map(), dirty: false };
 
-      const r = await fetchWithRetry(url, {
-        method: 'POST',
-        headers: { 'content-type': 'application/json', ...(authKey ? { authorization: `Bearer ${authKey}` } : {}) },
-        body: JSON.stringify(body),
-      }, 'aida-gateway');
-      const txt = await r.text();
-      if (!r.ok) return res.status(502).json({ error: `Backend aida ${r.status} @ ${url}`, body: txt.slice(0, 600) });
+// Escritura atómica (tmp + rename) de un JSON en disco
+function writeJsonFile(file, data) {
+  mkdirSync(dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  writeFileSync(tmp, JSON.stringify(data));
+  renameSync(tmp, file);
+}
 
-      let out = txt;
-      try {
-        const j = JSON.parse(txt);
-        const objective = dotGet(j, `result.params.${b.objectiveField}`) || dotGet(j, `params.${b.objectiveField}`);
-        const picked = pickPath(j, AIDA_RESP_PATH) || j?.content;
-        const steps = dotGet(j, 'result.steps') || dotGet(j, 'steps') || dotGet(j, 'result.plan') || dotGet(j, 'plan');
-        const note = dotGet(j, 'result.note') || j?.note || dotGet(j, 'data.text') || j?.text;
-        let parts = [];
-        if (objective) parts.push(`Objetivo: ${objective}`);
-        if (typeof picked === 'string' && picked) parts.push(picked);
-        else if (note) parts.push(`${note}`);
-        if (Array.isArray(steps) && steps.length) {
-          const list = steps.map((s, i) => `${i + 1}. ${typeof s === 'string' ? s : JSON.stringify(s)}`).join('\n');
-          parts.push(list);
-        }
-        out = parts.length ? parts.join('\n') : (typeof picked === 'string' ? picked : JSON.stringify(j));
-      } catch {}
-      return res.json({ id: 'proxy-txt', object: 'text_completion', choices: [{ index: 0, text: out, finish_reason: 'stop' }] });
-    }
-
-    if (b.name === 'lab' && b.mode === 'mcp') {
-      const { ok, status, text, url } = await callMCP({ base: b.base, path: b.path, payload: prompt });
-      if (!ok) {
-        // Si LAB esta protegido/saturado, devolver degradado en 200 y no romper flujo.
-        if (Number(status) === 429 || Number(status) === 403) {
-          return res.json({
-            id: 'proxy-txt',
-            object: 'text_completion',
-            choices: [{ index: 0, text: buildDegradedText(prompt), finish_reason: 'stop' }],
-          });
-        }
-        return res.status(502).json({ error: `Backend lab ${status} @ ${url}`, body: text.slice(0, 600) });
+function flushLimiterState() {
+  if (!limiter.dirty || !RATE_LIMIT_STORE) return;
+  try {
+    writeJsonFile(RATE_LIMIT_STORE, { buckets: limiter.buckets, quotas: limiter.quotas });
+    limiter.dirty = false;
+  } catch (error) {
+    console.warn(`[ratelimit] no se pudo guardar ${RATE_LIMIT_STORE}: ${String(error?.message || error)}`);
+  }
+}
+setInterval(flushLimiterState, 5000).unref();
+shutdownTasks.push(flushLimiterState);
+
+const dayPeriod = now => new Date(now).toISOString().slice(0, 10);
+const monthPeriod = now => new Date(now).toISOString().slice(0, 7);
+const nextDayMs = now => Date.UTC(new Date(now).getUTCFullYear(), new Date(now).getUTCMonth(), new Date(now).getUTCDate() + 1) - now;
+const nextMonthMs = now => Date.UTC(new Date(now).getUTCFullYear(), new Date(now).getUTCMonth() + 1, 1) - now;
+
+// Reglas aplicables a una petición: [{ id, rpm, concurrent, daily, monthly }]. Con `keyRule: false` solo las
+// del modelo (las que se cobran a cada fallback llamado; la regla de la llave se cobra una vez por petición).
+function limitRules(key, b, { keyRule = true } = {}) {
+  const rules = [];
+  const keyLimits = key?.limits || {
+    rpm: RATE_LIMIT_RPM, concurrent: RATE_LIMIT_CONCURRENT, daily: RATE_LIMIT_DAILY, monthly: RATE_LIMIT_MONTHLY,
+  };
+  const rule = (id, l) => ({
+    id,
+    rpm: asInt(l.rpm, 0),
+    concurrent: asInt(l.concurrent, 0),
+    daily: asInt(l.daily, 0),
+    monthly: asInt(l.monthly, 0),
+  });
+  if (keyRule) rules.push(rule(`key:${key?.name}`, keyLimits));
+  const perModel = key?.limits?.models?.[b.name];
+  if (perModel) rules.push(rule(`key:${key.name}:model:${b.name}`, perModel));
+  if (b.limits) rules.push(rule(`model:${b.name}`, b.limits));
+  return rules.filter(r => r.rpm || r.concurrent || r.daily || r.monthly);
+}
+
+const ruleBucket = (rule, now) => refillBucket(limiter.buckets[rule.id], rule.rpm, now);
+
+const quotaCount = (id, period) => (limiter.quotas[id]?.period === period ? limiter.quotas[id].count : 0);
+
+// Evalúa todas las reglas sin consumir; devuelve el primer bloqueo o null
+function checkLimits(rules, now) {
+  for (const r of rules) {
+    if (r.concurrent && (limiter.inFlight.get(r.id) || 0) >= r.concurrent) {
+      return { rule: r, type: 'concurrent', retryMs: 1000, message: `Too many concurrent requests for ${r.id} (limit ${r.concurrent})` };
+    }
+    if (r.rpm) {
+      const { tokens, ratePerMs } = ruleBucket(r, now);
+      if (tokens < 1) {
+        return { rule: r, type: 'requests', retryMs: (1 - tokens) / ratePerMs, message: `Rate limit reached for ${r.id}: ${r.rpm} requests per minute` };
       }
-      let out = text;
+    }
+    if (r.daily && quotaCount(`${r.id}:daily`, dayPeriod(now)) >= r.daily) {
+      return { rule: r, type: 'quota', retryMs: nextDayMs(now), message: `Daily quota exceeded for ${r.id} (${r.daily} requests)` };
+    }
+    if (r.monthly && quotaCount(`${r.id}:monthly`, monthPeriod(now)) >= r.monthly) {
+      return { rule: r, type: 'quota', retryMs: nextMonthMs(now), message: `Monthly quota exceeded for ${r.id} (${r.monthly} requests)` };
+    }
+  }
+  return null;
+}
+
+function consumeLimits(rules, now) {
+  for (const r of rules) {
+    if (r.concurrent) limiter.inFlight.set(r.id, (limiter.inFlight.get(r.id) || 0) + 1);
+    if (r.rpm) {
+      const { tokens } = ruleBucket(r, now);
+      limiter.buckets[r.id] = { tokens: tokens - 1, at: now };
+    }
+    for (const [suffix, period] of [['daily', dayPeriod(now)], ['monthly', monthPeriod(now)]]) {
+      if (!r[suffix]) continue;
+      const id = `${r.id}:${suffix}`;
+      limiter.quotas[id] = { period, count: quotaCount(id, period) + 1 };
+    }
+  }
+  limiter.dirty = true;
+}
+
+function releaseLimits(rules) {
+  for (const r of rules) {
+    if (!r.concurrent) continue;
+    const n = (limiter.inFlight.get(r.id) || 1) - 1;
+    if (n > 0) limiter.inFlight.set(r.id, n);
+    else limiter.inFlight.delete(r.id);
+  }
+}
+
+// Cabeceras x-ratelimit-* de la regla RPM más restrictiva
+function setRateLimitHeaders(res, rules, now) {
+  let tightest = null;
+  for (const r of rules.filter(x => x.rpm)) {
+    const { tokens, ratePerMs } = ruleBucket(r, now);
+    if (!tightest || tokens / r.rpm < tightest.tokens / tightest.rule.rpm) tightest = { rule: r, tokens, ratePerMs };
+  }
+  if (!tightest) return;
+  res.setHeader('x-ratelimit-limit-requests', String(tightest.rule.rpm));
+  res.setHeader('x-ratelimit-remaining-requests', String(Math.max(0, Math.floor(tightest.tokens))));
+  res.setHeader('x-ratelimit-reset-requests', formatReset((tightest.rule.rpm - tightest.tokens) / tightest.ratePerMs));
+}
+
+// Se llama desde los handlers de modelo una vez resuelto el backend y validada la llave, para que las
+// peticiones rechazadas (model_not_found, model_not_allowed, 400) no gasten cuota. Devuelve false si ya respondió 429.
+function applyRateLimit(req, res, b) {
+  const rules = limitRules(req.apiKey, b);
+  if (!rules.length) return true;
+
+  const now = Date.now();
+  const blocked = checkLimits(rules, now);
+  if (blocked) {
+    setRateLimitHeaders(res, rules, now);
+    res.setHeader('Retry-After', String(Math.max(1, Math.ceil(blocked.retryMs / 1000))));
+    const quota = blocked.type === 'quota';
+    openAIError(res, 429, blocked.message, quota ? 'insufficient_quota' : 'rate_limit_exceeded', quota ? 'insufficient_quota' : blocked.type);
+    return false;
+  }
+  consumeLimits(rules, now);
+  setRateLimitHeaders(res, rules, now);
+  res.once('close', () => releaseLimits(rules));
+  return true;
+}
+
+// Cobra las reglas por modelo de un fallback antes de llamarlo: { release } o { blocked } si está al límite
+function takeBackendLimits(key, b) {
+  const rules = limitRules(key, b, { keyRule: false });
+  const now = Date.now();
+  const blocked = checkLimits(rules, now);
+  if (blocked) return { blocked };
+  consumeLimits(rules, now);
+  return { release: () => releaseLimits(rules) };
+}
+
+/* ---------- Caché de respuestas ---------- */
+// Opt-in con RESPONSE_CACHE=true. La clave es el hash del request normalizado (modelo, mensajes/prompt,
+// tools y parámetros de muestreo; `stream` y `user` no cuentan). LRU en memoria acotado a RESPONSE_CACHE_MAX
+// con TTL, y un segundo nivel opcional en disco (un archivo por clave en RESPONSE_CACHE_DIR).
+// Las respuestas degradadas nunca se guardan.
+const CACHE_PARAMS = [
+  'temperature', 'top_p', 'max_tokens', 'max_completion_tokens', 'n', 'stop', 'seed', 'presence_penalty',
+  'frequency_penalty', 'logit_bias', 'response_format', 'parallel_tool_calls', 'suffix', 'echo', 'best_of',
+];
+
+const responseCache = {
+  enabled: asBool(RESPONSE_CACHE),
+  ttlMs: asInt(RESPONSE_CACHE_TTL_MS, 300000),
+  max: asInt(RESPONSE_CACHE_MAX, 500),
+  dir: RESPONSE_CACHE_DIR,
+  entries: new Map(),
+};
+
+function cacheKey(kind, b, body) {
+  const params = Object.fromEntries(CACHE_PARAMS.filter(p => body[p] !== undefined).map(p => [p, body[p]]));
+  const input = kind === 'chat'
+    ? { messages: body.messages || [], tools: body.tools, tool_choice: body.tool_choice }
+    : { prompt: body.prompt || '' };
+  return createHash('sha256').update(JSON.stringify({ kind, model: b.name, ...input, params })).digest('hex');
+}
+
+// Cache-Control del cliente: `no-store` no lee ni guarda; `no-cache` (o Pragma) salta la caché pero guarda la respuesta nueva
+function cachePolicy(req, b) {
+  if (!responseCache.enabled || !b.cache.enabled) return { read: false, write: false };
+  const cc = `${req.get('cache-control') || ''},${req.get('pragma') || ''}`.toLowerCase();
+  const noStore = /\bno-store\b/.test(cc);
+  return { read: !noStore && !/\bno-cache\b/.test(cc), write: !noStore };
+}
+
+const cacheFile = key => join(responseCache.dir, `${key}.json`);
+
+function cacheRemember(key, entry) {
+  const { entries } = responseCache;
+  entries.delete(key);
+  entries.set(key, entry);
+  while (entries.size > responseCache.max) entries.delete(entries.keys().next().value);
+}
+
+async function cacheGet(key) {
+  const now = Date.now();
+  const entry = responseCache.entries.get(key);
+  if (entry && entry.expiresAt > now) {
+    cacheRemember(key, entry);
+    return entry.value;
+  }
+  responseCache.entries.delete(key);
+  if (!responseCache.dir) return null;
+  try {
+    const stored = JSON.parse(await readFile(cacheFile(key), 'utf8'));
+    if (stored.expiresAt > now) {
+      cacheRemember(key, stored);
+      return stored.value;
+    }
+    await unlink(cacheFile(key));
+  } catch {}
+  return null;
+}
+
+// `value` = { text, toolCalls, usage, backend, path, raw? }: `usage` es el informado por el upstream (o ninguno)
+// y `raw` el cuerpo JSON de un upstream OpenAI
+function cacheSet(key, value) {
+  const entry = { expiresAt: Date.now() + responseCache.ttlMs, value };
+  cacheRemember(key, entry);
+  if (!responseCache.dir) return;
+  mkdir(responseCache.dir, { recursive: true })
+    .then(() => writeFile(cacheFile(key), JSON.stringify(entry)))
+    .catch(error => console.warn(`[cache] no se pudo escribir en disco: ${String(error?.message || error)}`));
+}
+
+// Borra del disco las entradas vencidas (por mtime, el TTL es global)
+async function sweepCacheDir() {
+  if (!responseCache.enabled || !responseCache.dir || !existsSync(responseCache.dir)) return;
+  const limit = Date.now() - responseCache.ttlMs;
+  for (const name of await readdir(responseCache.dir)) {
+    if (!name.endsWith('.json')) continue;
+    const file = join(responseCache.dir, name);
+    try {
+      if ((await stat(file)).mtimeMs < limit) await unlink(file);
+    } catch {}
+  }
+}
+setInterval(() => {
+  sweepCacheDir().catch(error => console.warn(`[cache] limpieza fallida: ${String(error?.message || error)}`));
+}, Math.max(responseCache.ttlMs, 60000)).unref();
+
+/* ---------- /v1/models ---------- */
+app.get('/v1/models', requireScope('chat'), (req, res) => {
+  res.json({
+    object: 'list',
+    data: registry.list
+      .filter(b => keyAllowsModel(req.apiKey, b.name))
+      .map(b => ({ id: b.name, object: 'model', owned_by: b.ownedBy, capabilities: { tool_calls: b.tools.enabled } })),
+  });
+});
+
+/* ---------- /v1/chat/completions y /v1/completions ---------- */
+// `kind` = 'chat' | 'text'. Ambas rutas comparten selección de backend y cadena de fallback.
+async function handleCompletion(req, res, kind) {
+  const body = req.body || {};
+  const { model = registry.defaultModel, stream = false } = body;
+  const messages = kind === 'chat' ? (body.messages || []) : null;
+  const prompt = kind === 'chat'
+    ? (messages.length ? messages[messages.length - 1].content : '')
+    : (body.prompt || '');
+  const requested = pick(model);
+  if (!requested) return modelNotFound(res, model);
+  if (!keyAllowsModel(req.apiKey, requested.name)) {
+    return openAIError(res, 403, `API key '${req.apiKey.name}' is not allowed to use model '${model}'`, 'model_not_allowed');
+  }
+  // Los resultados de tools vuelven al backend que emitió los tool_calls
+  const b = (messages && toolResultsBackend(messages, req.apiKey)) || requested;
+  if (!b.base && !b.fallback.length) return res.status(500).json({ error: `Missing base URL for ${b.name}` });
+  if (!applyRateLimit(req, res, b)) return undefined;
+
+  const send = kind === 'chat' ? sendChat : sendCompletion;
+  const includeUsage = !!body.stream_options?.include_usage;
+  const tools = kind === 'chat' ? body.tools : undefined;
+  const toolChoice = kind === 'chat' ? body.tool_choice : undefined;
+  const failures = [];
+  const track = (backend, upstreamUsage, text, { degraded, cached } = {}) => {
+    const { usage, estimated } = buildUsage(upstreamUsage, { messages, prompt }, text);
+    recordUsage({ key: req.apiKey?.name, model: requested.name, backend, usage, estimated, degraded, cached });
+    return usage;
+  };
+
+  const cache = cachePolicy(req, b);
+  const cacheId = cache.read || cache.write ? cacheKey(kind, b, body) : null;
+  if (cache.read) {
+    const cached = await cacheGet(cacheId);
+    if (cached) {
+      res.setHeader('x-proxy-cache', 'hit');
+      setProxyHeaders(res, cached);
+      const toolCalls = kind === 'chat' ? cached.toolCalls : undefined;
+      const usage = track(cached.backend, cached.usage, toolCalls?.length ? JSON.stringify(toolCalls) : cached.text, { cached: true });
+      if (cached.raw && !stream) return res.json({ ...cached.raw, usage });
+      return send(res, cached.text, { stream, model, meta: proxyMeta(cached), usage, includeUsage, toolCalls });
+    }
+  }
+  if (cacheId) res.setHeader('x-proxy-cache', 'miss');
+
+  // OpenAI directo: el upstream primario responde tal cual salvo que aplique fallback
+  const ticket = b.adapter === 'openai' && b.base ? breakerAcquire(b) : null;
+  if (ticket && !ticket.allowed) {
+    failures.push(circuitOpenFailure(b));
+  } else if (ticket) {
+    const canFallback = failure => b.fallback.length > 0 && triggersFallback(b, failure);
+    const args = kind === 'chat'
+      ? { base: b.base, key: b.key, modelName: b.upstreamModel, messages, tools, toolChoice }
+      : { base: b.base, key: b.key, modelName: b.upstreamModel, prompt };
+    if (stream) {
+      const failure = await proxyOpenAIStream(res, b, args, canFallback, ticket, seen => track(b.name, seen.usage, seen.text));
+      if (!failure) return;
+      failures.push(failure);
+    } else {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), b.timeoutMs);
       try {
-        const j = JSON.parse(text);
-        const payload = dotGet(j, 'result.reply') || j.reply || j.result || j;
-        const picked = pickPath(payload, `${b.respPath}|message|result.message|reply.message`);
-        const via = dotGet(j, 'result.via') || j.via;
-        if (via === 'degraded') {
-          out = typeof picked === 'string' && picked.trim() ? picked : buildDegradedText(prompt);
-        } else {
-          out = typeof picked === 'string' ? picked : (j.text || j.reply || j.response || j.content || JSON.stringify(j));
+        const r = await callOpenAI({ ...args, stream, signal: controller.signal, retry: ticket.retry });
+        const dataText = await r.text();
+        const failure = r.ok ? null : { backend: b.name, kind: 'status', status: r.status, url: r.url, body: dataText.slice(0, 600) };
+        breakerRecord(b, ticket, failure);
+        if (!failure || !canFallback(failure)) {
+          setProxyHeaders(res, { backend: b.name, path: [b.name] });
+          if (!r.ok) return res.status(r.status).send(dataText);
+          // Completar `usage` si el upstream no lo informa
+          let j = null;
+          try {
+            j = JSON.parse(dataText);
+          } catch {}
+          if (!j) return res.type('application/json').send(dataText);
+          const text = humanizeOpenAI(dataText);
+          const upstreamUsage = j.usage;
+          j.usage = track(b.name, upstreamUsage, text);
+          if (cache.write) {
+            cacheSet(cacheId, { text, toolCalls: openAIToolCalls(dataText), usage: upstreamUsage, backend: b.name, path: [b.name], raw: j });
+          }
+          return res.json(j);
         }
-      } catch {}
-      return res.json({ id: 'proxy-txt', object: 'text_completion', choices: [{ index: 0, text: out, finish_reason: 'stop' }] });
+        failures.push(failure);
+      } catch (error) {
+        const failure = errorFailure(b, error, controller.signal.aborted);
+        breakerRecord(b, ticket, failure);
+        if (!canFallback(failure)) throw error;
+        failures.push(failure);
+      } finally {
+        clearTimeout(timer);
+      }
     }
+  }
 
-    const { ok, status, text, url } = await callCustom({
-      base: b.base, path: b.path, key: b.keyInternal, reqField: b.reqField, payload: prompt
+  const result = await runChain(b, { messages, prompt, tools, toolChoice }, failures, req.apiKey);
+  if (!result.ok) {
+    const [first, ...rest] = result.failures;
+    return res.status(502).json({
+      error: first.kind === 'status'
+        ? `Backend ${first.backend} ${first.status} @ ${first.url}`
+        : `Backend ${first.backend} ${first.kind}: ${first.error || ''}`.trim(),
+      body: first.body,
+      fallback_errors: rest,
     });
-    if (!ok) {
-      if (b.name === 'arkaios' && status === 429) {
-        const fb = await fallbackArkaiosToAida(prompt);
-        if (fb.ok) {
-          return res.json({ id: 'proxy-txt', object: 'text_completion', choices: [{ index: 0, text: fb.text, finish_reason: 'stop' }] });
-        }
-        const fl = await fallbackArkaiosToLab(prompt);
-        if (fl.ok) {
-          return res.json({ id: 'proxy-txt', object: 'text_completion', choices: [{ index: 0, text: fl.text, finish_reason: 'stop' }] });
-        }
-        if (Number(fb.status) === 429 && Number(fl.status || 429) === 429) {
-          const degraded = [
-            'Servicio temporalmente saturado (rate-limit en proveedores).',
-            'Tu solicitud fue recibida y el sistema esta en modo degradado.',
-            `Prompt: ${prompt || '(vacio)'}`,
-            'Sugerencia: reintentar en 30-90 segundos.',
-          ].join('\n');
-          return res.json({ id: 'proxy-txt', object: 'text_completion', choices: [{ index: 0, text: degraded, finish_reason: 'stop' }] });
-        }
-        return res.status(502).json({
-          error: `Backend ${b.name} ${status} @ ${url}`,
-          body: text.slice(0, 600),
-          fallback_error: fb,
-          fallback_lab_error: fl,
-        });
+  }
+  setProxyHeaders(res, result);
+  const toolCalls = kind === 'chat' ? result.toolCalls : undefined;
+  const usage = track(result.backend, result.usage, toolCalls?.length ? JSON.stringify(toolCalls) : result.text, { degraded: result.degraded });
+  if (cache.write && !result.degraded) {
+    cacheSet(cacheId, { text: result.text, toolCalls: result.toolCalls, usage: result.usage, backend: result.backend, path: result.path });
+  }
+  return send(res, result.text, { stream, model, meta: proxyMeta(result), usage, includeUsage, toolCalls });
+}
+
+app.post('/v1/chat/completions', requireScope('chat'), async (req, res) => {
+  try {
+    await handleCompletion(req, res, 'chat');
+  } catch (e) {
+    if (!res.headersSent) res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+app.post('/v1/completions', requireScope('chat'), async (req, res) => {
+  try {
+    await handleCompletion(req, res, 'text');
+  } catch (e) {
+    if (!res.headersSent) res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+/* ---------- /v1/responses (OpenAI Responses API) ---------- */
+// Se apoya en el mismo enrutamiento y cadena de fallback que chat/completions.
+// Las respuestas se guardan en memoria (acotado a RESPONSES_MAX) y se persisten en RESPONSES_STORE
+// para poder encadenar turnos con `previous_response_id` y recuperarlas con GET /v1/responses/:id.
+function loadResponsesStore() {
+  try {
+    if (RESPONSES_STORE && existsSync(RESPONSES_STORE)) {
+      const entries = JSON.parse(readFileSync(RESPONSES_STORE, 'utf8'));
+      return new Map(entries.map(e => [e.response.id, e]));
+    }
+  } catch (error) {
+    console.warn(`[responses] no se pudo leer ${RESPONSES_STORE}: ${String(error?.message || error)}`);
+  }
+  return new Map();
+}
+
+const responsesStore = { entries: loadResponsesStore(), dirty: false };
+
+function saveResponse(entry) {
+  const { entries } = responsesStore;
+  entries.delete(entry.response.id);
+  entries.set(entry.response.id, entry);
+  const max = asInt(RESPONSES_MAX, 1000);
+  while (entries.size > max) entries.delete(entries.keys().next().value);
+  responsesStore.dirty = true;
+}
+
+function flushResponsesStore() {
+  if (!responsesStore.dirty || !RESPONSES_STORE) return;
+  try {
+    writeJsonFile(RESPONSES_STORE, [...responsesStore.entries.values()]);
+    responsesStore.dirty = false;
+  } catch (error) {
+    console.warn(`[responses] no se pudo guardar ${RESPONSES_STORE}: ${String(error?.message || error)}`);
+  }
+}
+setInterval(flushResponsesStore, 5000).unref();
+shutdownTasks.push(flushResponsesStore);
+
+// Solo la llave que creó la respuesta (o una con scope `*`) puede leerla
+const ownsResponse = (key, entry) => key?.scopes?.includes('*') || entry.key === key?.name;
+
+const newId = prefix => `${prefix}_${randomBytes(12).toString('hex')}`;
+
+// Partes de contenido de la Responses API -> texto
+const itemText = content => {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.map(part => (typeof part === 'string' ? part : part?.text || '')).join('');
+  return '';
+};
+
+// Convierte `input` (string o lista de items) en mensajes estilo chat
+function responseInputToMessages(input) {
+  if (typeof input === 'string') return [{ role: 'user', content: input }];
+  const messages = [];
+  for (const item of input || []) {
+    if (item?.type === 'function_call_output') {
+      messages.push({ role: 'tool', tool_call_id: item.call_id, content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output) });
+    } else if (item?.type === 'function_call') {
+      messages.push({
+        role: 'assistant',
+        content: '',
+        tool_calls: [{ id: item.call_id, type: 'function', function: { name: item.name, arguments: item.arguments || '' } }],
+      });
+    } else if (item?.role) {
+      messages.push({ role: item.role === 'developer' ? 'system' : item.role, content: itemText(item.content) });
+    }
+  }
+  return messages;
+}
+
+function buildResponseObject({ id, model, status, instructions, previousResponseId, text, toolCalls, usage, metadata, meta }) {
+  let output = [];
+  if (toolCalls?.length) {
+    output = toolCalls.map(call => ({
+      type: 'function_call',
+      id: newId('fc'),
+      call_id: call.id,
+      name: call.function.name,
+      arguments: call.function.arguments,
+      status: 'completed',
+    }));
+  } else if (text !== undefined) {
+    output = [{
+      type: 'message',
+      id: `msg_${id.slice(5)}`,
+      status: 'completed',
+      role: 'assistant',
+      content: [{ type: 'output_text', text, annotations: [] }],
+    }];
+  }
+  return {
+    id,
+    object: 'response',
+    created_at: Math.floor(Date.now() / 1000),
+    status,
+    model,
+    instructions: instructions ?? null,
+    previous_response_id: previousResponseId ?? null,
+    output,
+    usage: usage
+      ? { input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens, total_tokens: usage.total_tokens }
+      : null,
+    metadata: metadata || {},
+    ...(meta ? { proxy: meta } : {}),
+  };
+}
+
+const writeSSEEvent = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+
+// Emite la secuencia de eventos de la Responses API para un texto ya resuelto
+async function streamResponse(res, response, text) {
+  const size = asInt(STREAM_CHUNK_CHARS, 48);
+  const delay = Number.parseInt(STREAM_CHUNK_DELAY_MS, 10) || 0;
+  const item = response.output[0];
+  let seq = 2; // 0 = response.created, 1 = response.in_progress
+  const emit = (event, data) => writeSSEEvent(res, event, { sequence_number: seq++, ...data });
+
+  if (item?.type === 'function_call') {
+    response.output.forEach((call, index) => {
+      emit('response.output_item.added', { output_index: index, item: { ...call, status: 'in_progress', arguments: '' } });
+      emit('response.function_call_arguments.delta', { item_id: call.id, output_index: index, delta: call.arguments });
+      emit('response.function_call_arguments.done', { item_id: call.id, output_index: index, arguments: call.arguments });
+      emit('response.output_item.done', { output_index: index, item: call });
+    });
+    emit('response.completed', { response });
+    return res.end();
+  }
+  emit('response.output_item.added', { output_index: 0, item: { ...item, status: 'in_progress', content: [] } });
+  emit('response.content_part.added', {
+    item_id: item.id, output_index: 0, content_index: 0, part: { type: 'output_text', text: '', annotations: [] },
+  });
+  for (const delta of chunkText(text, size)) {
+    if (res.writableEnded || res.destroyed) return;
+    emit('response.output_text.delta', { item_id: item.id, output_index: 0, content_index: 0, delta });
+    if (delay > 0) await sleep(delay);
+  }
+  emit('response.output_text.done', { item_id: item.id, output_index: 0, content_index: 0, text });
+  emit('response.content_part.done', { item_id: item.id, output_index: 0, content_index: 0, part: item.content[0] });
+  emit('response.output_item.done', { output_index: 0, item });
+  emit('response.completed', { response });
+  res.end();
+}
+
+app.post('/v1/responses', requireScope('chat'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { model = registry.defaultModel, input, instructions, previous_response_id: previousResponseId, metadata } = body;
+    const stream = !!body.stream;
+    const store = body.store !== false;
+    const b = pick(model);
+    if (!b) return modelNotFound(res, model);
+    if (!keyAllowsModel(req.apiKey, b.name)) {
+      return openAIError(res, 403, `API key '${req.apiKey.name}' is not allowed to use model '${model}'`, 'model_not_allowed');
+    }
+    if (input === undefined || input === null) return openAIError(res, 400, "Missing required parameter: 'input'.", 'missing_required_parameter');
+
+    let history = [];
+    if (previousResponseId) {
+      const prev = responsesStore.entries.get(previousResponseId);
+      if (!prev || !ownsResponse(req.apiKey, prev)) {
+        return openAIError(res, 404, `Previous response with id '${previousResponseId}' not found.`, 'previous_response_not_found');
       }
-      return res.status(502).json({ error: `Backend ${b.name} ${status} @ ${url}`, body: text.slice(0, 600) });
+      history = prev.history;
     }
+    // `instructions` no se hereda de respuestas previas (misma semántica que OpenAI)
+    const turn = responseInputToMessages(input);
+    const conversation = [...history, ...turn];
+    const messages = instructions ? [{ role: 'system', content: instructions }, ...conversation] : conversation;
+    const lastUser = [...turn].reverse().find(m => m.role === 'user');
+    const prompt = contentText(lastUser?.content ?? turn[turn.length - 1]?.content);
+    const target = toolResultsBackend(messages, req.apiKey) || b;
+    if (!applyRateLimit(req, res, target)) return undefined;
 
-    let out = text;
-    try {
-      const j = JSON.parse(text);
-      const picked = pickPath(j, b.respPath);
-      out = typeof picked === 'string' ? picked :
-            (j.text || j.reply || j.response || j.content || JSON.stringify(j));
-    } catch {}
-    return res.json({ id: 'proxy-txt', object: 'text_completion', choices: [{ index: 0, text: out, finish_reason: 'stop' }] });
+    const id = newId('resp');
+    const base = { id, model, instructions, previousResponseId, metadata };
+    let seq = 0;
+    if (stream) {
+      // Se abre el stream antes de consultar el backend para que el cliente vea actividad
+      openSSE(res);
+      const pending = buildResponseObject({ ...base, status: 'in_progress' });
+      writeSSEEvent(res, 'response.created', { sequence_number: seq++, response: pending });
+      writeSSEEvent(res, 'response.in_progress', { sequence_number: seq++, response: pending });
+    }
+
+    const result = await runChain(target, { messages, prompt, tools: body.tools, toolChoice: body.tool_choice }, [], req.apiKey);
+    if (!result.ok) {
+      const [first, ...rest] = result.failures;
+      const message = first.kind === 'status'
+        ? `Backend ${first.backend} ${first.status} @ ${first.url}`
+        : `Backend ${first.backend} ${first.kind}: ${first.error || ''}`.trim();
+      if (stream) {
+        const failed = { ...buildResponseObject({ ...base, status: 'failed' }), error: { code: 'server_error', message } };
+        writeSSEEvent(res, 'response.failed', { sequence_number: seq++, response: failed });
+        return res.end();
+      }
+      return res.status(502).json({ error: message, body: first.body, fallback_errors: rest });
+    }
+
+    const toolCalls = result.toolCalls?.length ? result.toolCalls : undefined;
+    const { usage, estimated } = buildUsage(result.usage, { messages, prompt }, toolCalls ? JSON.stringify(toolCalls) : result.text);
+    recordUsage({ key: req.apiKey?.name, model: b.name, backend: result.backend, usage, estimated, degraded: result.degraded });
+    const response = buildResponseObject({ ...base, status: 'completed', text: result.text, toolCalls, usage, meta: proxyMeta(result) });
+    if (store) {
+      const reply = toolCalls ? { role: 'assistant', content: '', tool_calls: toolCalls } : { role: 'assistant', content: result.text };
+      saveResponse({ key: req.apiKey?.name, response, history: [...conversation, reply] });
+    }
+
+    if (stream) return streamResponse(res, response, result.text);
+    setProxyHeaders(res, result);
+    return res.json(response);
+  } catch (e) {
+    if (!res.headersSent) return res.status(500).json({ error: String(e?.message || e) });
+    res.end();
+  }
+});
+
+app.get('/v1/responses/:id', requireScope('chat'), (req, res) => {
+  const entry = responsesStore.entries.get(req.params.id);
+  if (!entry || !ownsResponse(req.apiKey, entry)) {
+    return openAIError(res, 404, `Response with id '${req.params.id}' not found.`, 'not_found');
+  }
+  return res.json(entry.response);
+});
+
+app.delete('/v1/responses/:id', requireScope('chat'), (req, res) => {
+  const entry = responsesStore.entries.get(req.params.id);
+  if (!entry || !ownsResponse(req.apiKey, entry)) {
+    return openAIError(res, 404, `Response with id '${req.params.id}' not found.`, 'not_found');
+  }
+  responsesStore.entries.delete(req.params.id);
+  responsesStore.dirty = true;
+  return res.json({ id: req.params.id, object: 'response.deleted', deleted: true });
+});
+
+/* ---------- /v1/usage ---------- */
+// Agregados de uso. Una llave sin scope `*` solo ve su propio consumo.
+app.get('/v1/usage', requireScope('chat'), async (req, res) => {
+  try {
+    const now = Date.now();
+    const from = parseTime(req.query.from, now - 30 * 24 * 3600 * 1000);
+    const to = parseTime(req.query.to, now + 1);
+    const groupBy = String(req.query.group_by || 'key,model,backend').split(',').map(g => g.trim()).filter(Boolean);
+    const unknown = groupBy.filter(g => !USAGE_GROUPS[g]);
+    if (unknown.length) {
+      return openAIError(res, 400, `Invalid group_by: ${unknown.join(', ')} (allowed: ${Object.keys(USAGE_GROUPS).join(', ')})`, 'invalid_group_by');
+    }
+    const onlyKey = req.apiKey?.scopes?.includes('*') ? null : req.apiKey?.name;
+    const data = await aggregateUsage({ from, to, groupBy, onlyKey });
+    res.json({ object: 'list', from: new Date(from).toISOString(), to: new Date(to).toISOString(), group_by: groupBy, data });
   } catch (e) {
     res.status(500).json({ error: String(e?.message || e) });
   }
 });
 
 /* ---------- Debug ---------- */
+// Cada sonda se corta a los timeoutMs del backend, como las llamadas normales (un upstream colgado no
+// deja la respuesta esperando para siempre)
 app.get('/debug/ping', async (_req, res) => {
-  async function probe(name, base) {
+  async function probe({ name, base, timeoutMs }) {
     if (!base) return { name, ok: false, error: 'no base url' };
     const baseTrim = trimBase(base);
     const urlHealth = `${baseTrim}/healthz`;
+    const signal = AbortSignal.timeout(timeoutMs);
     try {
-      let r = await fetch(urlHealth);
+      let r = await upstreamFetch(urlHealth, { signal });
       let text = await r.text();
       if (r.status === 404) {
         // Fallback a raíz si /healthz no existe
         const urlRoot = `${baseTrim}/`;
         try {
-          r = await fetch(urlRoot);
+          r = await upstreamFetch(urlRoot, { signal });
           text = await r.text();
           return { name, ok: r.ok, status: r.status, url: urlRoot, body: text.slice(0, 400) };
         } catch (e2) {
@@ -645,16 +2492,23 @@ app.get('/debug/ping', async (_req, res) => {
       return { name, ok: false, error: String(e) };
     }
   }
-  res.json({
-    arkaios: await probe('arkaios', ARKAIOS_BASE_URL),
-    aida: await probe('aida', AIDA_BASE_URL),
-    lab: await (async () => {
-      const l = pick('lab');
-      if (!l.base || l.mode !== 'mcp') return { name: 'lab', ok: false, error: 'not_configured' };
-      const { ok, status, text, url } = await callMCP({ base: l.base, path: l.path, payload: 'ping' });
-      return { name: 'lab', ok, status, url, body: String(text || '').slice(0, 400) };
-    })(),
-  });
+  async function probeMCP(b) {
+    if (!b.base) return { name: b.name, ok: false, error: 'not_configured' };
+    try {
+      const { ok, status, text, url } = await callMCP({
+        base: b.base, path: b.path, command: b.command, payload: 'ping', signal: AbortSignal.timeout(b.timeoutMs),
+      });
+      return { name: b.name, ok, status, url, body: String(text || '').slice(0, 400) };
+    } catch (e) {
+      return { name: b.name, ok: false, error: String(e) };
+    }
+  }
+  const out = {};
+  for (const b of registry.list) {
+    const result = b.adapter === 'mcp' ? await probeMCP(b) : await probe(b);
+    out[b.name] = { ...result, breaker: breakerSnapshot(b) };
+  }
+  res.json(out);
 });
 
 /* ---------- Rutas libres ---------- */
@@ -663,196 +2517,1280 @@ app.get('/v1/healthz', (_req, res) => res.json({ ok: true, scope: 'auth' }));
 app.get('/healthz', (_req, res) => res.json({ ok: true }));
 
 /* ---------- Backup & Restore ---------- */
+// Repositorio de snapshots en SNAPSHOT_DIR: un archivo por versión (<id>.bin) más index.json con los
+// metadatos { id, created_at, size, sha256, content_type, labels, source }. La retención se aplica tras
+// cada alta: últimos SNAPSHOT_KEEP, antigüedad SNAPSHOT_MAX_AGE_MS y tamaño total SNAPSHOT_MAX_BYTES
+// (el snapshot más reciente nunca se borra).
+// Con BACKUP_ENCRYPTION_KEYS el contenido se guarda cifrado (AES-256-GCM, id del snapshot como AAD) y
+// meta.encryption indica la clave usada. Cada snapshot lleva un manifiesto firmado (HMAC-SHA256 sobre id,
+// sha256, size y created_at del contenido en claro) que se comprueba antes de restaurar.
+const snapshotIndexFile = () => join(SNAPSHOT_DIR, 'index.json');
+const snapshotFile = id => join(SNAPSHOT_DIR, `${id}.bin`);
+
+function loadSnapshotIndex() {
+  try {
+    if (existsSync(snapshotIndexFile())) {
+      return JSON.parse(readFileSync(snapshotIndexFile(), 'utf8')).filter(meta => existsSync(snapshotFile(meta.id)));
+    }
+  } catch (error) {
+    console.warn(`[snapshots] no se pudo leer ${snapshotIndexFile()}: ${String(error?.message || error)}`);
+  }
+  return [];
+}
+
+// Ordenado del más reciente al más antiguo
+const snapshots = { list: loadSnapshotIndex().sort((a, b) => b.created_at - a.created_at) };
+console.log(`[snapshots] ${snapshots.list.length} snapshot(s) en ${SNAPSHOT_DIR}`);
+
+const saveSnapshotIndex = () => writeJsonFile(snapshotIndexFile(), snapshots.list);
+
+async function removeSnapshot(id) {
+  snapshots.list = snapshots.list.filter(meta => meta.id !== id);
+  saveSnapshotIndex();
+  await unlink(snapshotFile(id)).catch(() => {});
+}
+
+async function applySnapshotRetention() {
+  const keep = asInt(SNAPSHOT_KEEP, 0);
+  const maxAge = asInt(SNAPSHOT_MAX_AGE_MS, 0);
+  const maxBytes = asInt(SNAPSHOT_MAX_BYTES, 0);
+  const now = Date.now();
+  let kept = 0;
+  const expired = snapshots.list.filter((meta, i) => {
+    const drop = i > 0 && ((keep && i >= keep) || (maxAge && now - meta.created_at > maxAge) || (maxBytes && kept + meta.size > maxBytes));
+    if (!drop) kept += meta.size;
+    return drop;
+  });
+  for (const meta of expired) await removeSnapshot(meta.id);
+  if (expired.length) console.log(`[snapshots] retención: ${expired.length} eliminado(s)`);
+  return expired.map(meta => meta.id);
+}
+
+// BACKUP_ENCRYPTION_KEYS="k2:<clave>,k1:<clave>" (32 bytes en base64 o hex). Se cifra con
+// BACKUP_ENCRYPTION_KEY_ID (o la primera) y se descifra con la que indique cada snapshot: para rotar se añade
+// la clave nueva delante y se conserva la anterior mientras queden snapshots cifrados con ella.
+function parseEncryptionKeys(spec) {
+  const keys = new Map();
+  for (const entry of String(spec).split(',').map(e => e.trim()).filter(Boolean)) {
+    const sep = entry.indexOf(':');
+    const [kid, material] = sep > 0 ? [entry.slice(0, sep), entry.slice(sep + 1)] : [null, entry];
+    const key = /^[0-9a-f]{64}$/i.test(material) ? Buffer.from(material, 'hex') : Buffer.from(material, 'base64');
+    if (!kid || key.length !== 32) throw new Error(`BACKUP_ENCRYPTION_KEYS: la entrada "${kid || entry.slice(0, 8)}" debe ser <id>:<clave de 32 bytes en base64 o hex>`);
+    keys.set(kid, key);
+  }
+  return keys;
+}
+const encryptionKeys = parseEncryptionKeys(BACKUP_ENCRYPTION_KEYS);
+const activeKeyId = BACKUP_ENCRYPTION_KEY_ID || encryptionKeys.keys().next().value || null;
+if (activeKeyId && !encryptionKeys.has(activeKeyId)) throw new Error(`BACKUP_ENCRYPTION_KEY_ID "${activeKeyId}" no está en BACKUP_ENCRYPTION_KEYS`);
+if (activeKeyId) console.log(`[snapshots] cifrado AES-256-GCM con clave ${activeKeyId} (${encryptionKeys.size} clave(s) cargada(s))`);
+
+// Sin BACKUP_MANIFEST_SECRET se genera una clave aleatoria junto a los snapshots: detecta corrupción, pero no
+// protege frente a quien tenga acceso al directorio.
+let manifestSecret = null;
+function getManifestSecret() {
+  if (manifestSecret) return manifestSecret;
+  if (BACKUP_MANIFEST_SECRET) return (manifestSecret = Buffer.from(BACKUP_MANIFEST_SECRET, 'utf8'));
+  const file = join(SNAPSHOT_DIR, 'manifest.key');
+  if (!existsSync(file)) {
+    mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    writeFileSync(file, randomBytes(32), { mode: 0o600 });
+    console.warn(`[snapshots] BACKUP_MANIFEST_SECRET no definido; se generó ${file}`);
+  }
+  return (manifestSecret = readFileSync(file));
+}
+
+const manifestSignature = ({ id, sha256, size, created_at: createdAt }) => createHmac('sha256', getManifestSecret())
+  .update(`${id}\n${sha256}\n${size}\n${createdAt}`)
+  .digest('hex');
+
+const signManifest = meta => ({
+  alg: 'HMAC-SHA256',
+  id: meta.id,
+  sha256: meta.sha256,
+  size: meta.size,
+  created_at: meta.created_at,
+  signature: manifestSignature(meta),
+});
+
+// Guarda una nueva versión. El contenido llega como `buffer` o como archivo ya escrito en disco (`file`, que se
+// consume y se borra), así las exportaciones grandes no pasan por memoria. `id` permite anunciarlo antes de guardar.
+async function saveSnapshot({ buffer, file, id = newId('snap'), contentType = 'application/json', labels = [], source = 'store' }) {
+  await mkdir(SNAPSHOT_DIR, { recursive: true });
+  const digest = buffer
+    ? { size: buffer.length, sha256: createHash('sha256').update(buffer).digest('hex') }
+    : { size: (await stat(file)).size, sha256: await fileSha256(file) };
+  const meta = {
+    id,
+    created_at: Date.now(),
+    ...digest,
+    content_type: contentType,
+    labels: [...new Set(labels.map(String).filter(Boolean))],
+    source,
+  };
+  const tmp = `${snapshotFile(meta.id)}.tmp`;
+  const content = () => (buffer ? Readable.from([buffer]) : createReadStream(file));
+  if (activeKeyId) {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', encryptionKeys.get(activeKeyId), iv);
+    cipher.setAAD(Buffer.from(meta.id));
+    await pipeline(content(), cipher, createWriteStream(tmp));
+    meta.encryption = { alg: 'aes-256-gcm', key_id: activeKeyId, iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64') };
+  } else {
+    await pipeline(content(), createWriteStream(tmp));
+  }
+  await rename(tmp, snapshotFile(meta.id));
+  if (file) await unlink(file).catch(() => {});
+  meta.manifest = signManifest(meta);
+  snapshots.list.unshift(meta);
+  saveSnapshotIndex();
+  const removed = await applySnapshotRetention();
+  return { meta, removed };
+}
+
+// Contenido en claro (descifrado si hace falta). Si el tag GCM no cuadra el stream termina con error.
+function snapshotStream(meta) {
+  const raw = createReadStream(snapshotFile(meta.id));
+  if (!meta.encryption) return raw;
+  const key = encryptionKeys.get(meta.encryption.key_id);
+  if (!key) throw Object.assign(new Error(`Unknown encryption key id '${meta.encryption.key_id}' for snapshot ${meta.id}`), { status: 500 });
+  const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(meta.encryption.iv, 'base64'));
+  decipher.setAAD(Buffer.from(meta.id));
+  decipher.setAuthTag(Buffer.from(meta.encryption.tag, 'base64'));
+  raw.on('error', error => decipher.destroy(error));
+  return raw.pipe(decipher);
+}
+
+async function readSnapshot(meta) {
+  const chunks = [];
+  for await (const chunk of snapshotStream(meta)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// Comprueba firma del manifiesto, que coincida con los metadatos y que el contenido (descifrado) tenga ese
+// hash y tamaño. Devuelve la lista de problemas encontrados (vacía si todo está bien).
+async function verifySnapshot(meta) {
+  const problems = [];
+  const { manifest } = meta;
+  if (!manifest) {
+    problems.push('manifest_missing');
+  } else {
+    const expected = Buffer.from(manifestSignature(manifest), 'hex');
+    const given = Buffer.from(String(manifest.signature || ''), 'hex');
+    if (expected.length !== given.length || !timingSafeEqual(expected, given)) problems.push('manifest_signature_invalid');
+    if (['id', 'sha256', 'size', 'created_at'].some(field => manifest[field] !== meta[field])) problems.push('manifest_mismatch');
+  }
+  const hash = createHash('sha256');
+  let size = 0;
+  try {
+    for await (const chunk of snapshotStream(meta)) {
+      hash.update(chunk);
+      size += chunk.length;
+    }
+  } catch (error) {
+    problems.push(meta.encryption ? `decryption_failed: ${String(error?.message || error)}` : `read_failed: ${String(error?.message || error)}`);
+    return problems;
+  }
+  const reference = manifest || meta;
+  if (hash.digest('hex') !== reference.sha256) problems.push('content_hash_mismatch');
+  if (size !== reference.size) problems.push('content_size_mismatch');
+  return problems;
+}
+
+// GCM solo autentica al terminar de descifrar: se verifica antes de enviar para no entregar contenido alterado
+async function sendSnapshot(res, meta) {
+  const problems = await verifySnapshot(meta);
+  if (problems.some(p => p.startsWith('decryption_failed'))) {
+    return res.status(422).json({ ok: false, error: 'integrity_check_failed', id: meta.id, problems });
+  }
+  res.setHeader('x-snapshot-verified', String(!problems.length));
+  res.setHeader('content-type', meta.content_type);
+  res.setHeader('content-length', meta.size);
+  res.setHeader('x-snapshot-id', meta.id);
+  res.setHeader('x-snapshot-sha256', meta.sha256);
+  res.setHeader('x-snapshot-created-at', new Date(meta.created_at).toISOString());
+  if (meta.encryption) res.setHeader('x-snapshot-key-id', meta.encryption.key_id);
+  const fail = error => {
+    if (!res.headersSent) return res.status(error?.status || 500).json({ ok: false, error: String(error?.message || error) });
+    return res.destroy(error);
+  };
+  try {
+    return await pipeline(snapshotStream(meta), res);
+  } catch (error) {
+    return fail(error);
+  }
+}
+
+const snapshotNotFound = (res, id) => res.status(404).json({ ok: false, error: 'snapshot_not_found', id });
+
+async function readSnapshotJson(meta) {
+  if (!/json/i.test(meta.content_type)) throw Object.assign(new Error(`Snapshot ${meta.id} is not JSON (${meta.content_type})`), { status: 415 });
+  return JSON.parse((await readSnapshot(meta)).toString('utf8'));
+}
+
 // Almacenar el snapshot en el propio proxy (JSON). Útil cuando no hay servicio externo.
-// Este endpoint acepta un payload JSON (puede venir con {snapshot: {...}} o el snapshot directo) y lo guarda en memoria.
-app.post('/v1/backup/store', async (req, res) => {
+// Acepta { snapshot: {...}, labels: [...] } o el snapshot directo; cada llamada crea una versión nueva.
+app.post('/v1/backup/store', requireScope('backup:write'), async (req, res) => {
   try {
     const body = req.body || {};
     // Permitir tanto { snapshot: {...} } como el objeto directo de snapshot
-    latestSnapshot = body.snapshot || body;
-    const approxSize = Buffer.byteLength(JSON.stringify(latestSnapshot || {}), 'utf8');
-    return res.json({ ok: true, stored: true, ts: Date.now(), approx_size_bytes: approxSize });
+    const snapshot = body.snapshot || body;
+    const labels = [
+      ...(body.snapshot && Array.isArray(body.labels) ? body.labels : []),
+      ...String(req.query.labels || '').split(','),
+    ];
+    const buffer = Buffer.from(JSON.stringify(snapshot || {}), 'utf8');
+    const { meta, removed } = await saveSnapshot({ buffer, labels });
+    return res.json({
+      ok: true,
+      stored: true,
+      ts: meta.created_at,
+      approx_size_bytes: meta.size,
+      snapshot: meta,
+      retention_removed: removed,
+    });
   } catch (error) {
     return res.status(500).json({ ok: false, error: String(error?.message || error) });
   }
 });
 
 // Recuperar el último snapshot guardado
-app.get('/v1/backup/latest', (_req, res) => {
-  if (!latestSnapshot) return res.status(404).json({ ok: false, error: 'no_snapshot' });
-  return res.json(latestSnapshot);
+app.get('/v1/backup/latest', requireScope('backup:read'), (_req, res) => {
+  const [latest] = snapshots.list;
+  if (!latest) return res.status(404).json({ ok: false, error: 'no_snapshot' });
+  return sendSnapshot(res, latest);
 });
 
-app.post('/v1/backup/export', async (req, res) => {
+// Listado (más reciente primero). Filtros: label (repetible, todas deben estar), since/until (epoch o ISO), limit
+app.get('/v1/backup/snapshots', requireScope('backup:read'), (req, res) => {
+  const labels = [req.query.label || []].flat().map(String);
+  const since = parseTime(req.query.since, 0);
+  const until = parseTime(req.query.until, Infinity);
+  const limit = asInt(req.query.limit, Infinity);
+  const data = snapshots.list
+    .filter(meta => meta.created_at >= since && meta.created_at <= until)
+    .filter(meta => labels.every(label => meta.labels.includes(label)))
+    .slice(0, limit);
+  return res.json({
+    object: 'list',
+    data,
+    total_bytes: snapshots.list.reduce((acc, meta) => acc + meta.size, 0),
+    retention: {
+      keep: asInt(SNAPSHOT_KEEP, 0) || null,
+      max_age_ms: asInt(SNAPSHOT_MAX_AGE_MS, 0) || null,
+      max_bytes: asInt(SNAPSHOT_MAX_BYTES, 0) || null,
+    },
+  });
+});
+
+// Contenido de una versión (metadatos en cabeceras x-snapshot-*; `?meta=true` devuelve solo los metadatos)
+app.get('/v1/backup/snapshots/:id', requireScope('backup:read'), (req, res) => {
+  const meta = snapshots.list.find(m => m.id === req.params.id);
+  if (!meta) return snapshotNotFound(res, req.params.id);
+  if (asBool(req.query.meta)) return res.json(meta);
+  return sendSnapshot(res, meta);
+});
+
+app.get('/v1/backup/snapshots/:id/verify', requireScope('backup:read'), async (req, res) => {
+  const meta = snapshots.list.find(m => m.id === req.params.id);
+  if (!meta) return snapshotNotFound(res, req.params.id);
+  const problems = await verifySnapshot(meta);
+  return res.json({ ok: !problems.length, id: meta.id, encrypted: Boolean(meta.encryption), key_id: meta.encryption?.key_id ?? null, problems });
+});
+
+// Diff de :a a :b. Con `Accept: application/json-patch+json` responde solo el arreglo de operaciones.
+app.get('/v1/backup/snapshots/:a/diff/:b', requireScope('backup:read'), async (req, res) => {
+  const [a, b] = [req.params.a, req.params.b].map(id => snapshots.list.find(m => m.id === id));
+  if (!a) return snapshotNotFound(res, req.params.a);
+  if (!b) return snapshotNotFound(res, req.params.b);
+  try {
+    const patch = jsonDiff(await readSnapshotJson(a), await readSnapshotJson(b));
+    if (req.accepts(['application/json', 'application/json-patch+json']) === 'application/json-patch+json') {
+      return res.type('application/json-patch+json').send(JSON.stringify(patch));
+    }
+    const paths = op => patch.filter(p => p.op === op).map(p => p.path);
+    return res.json({ from: a.id, to: b.id, added: paths('add'), removed: paths('remove'), changed: paths('replace'), patch });
+  } catch (error) {
+    return res.status(error.status || 500).json({ ok: false, error: String(error?.message || error) });
+  }
+});
+
+app.delete('/v1/backup/snapshots/:id', requireScope('backup:write'), async (req, res) => {
+  const meta = snapshots.list.find(m => m.id === req.params.id);
+  if (!meta) return snapshotNotFound(res, req.params.id);
+  await removeSnapshot(meta.id);
+  return res.json({ ok: true, id: meta.id, deleted: true });
+});
+
+// Con ?store=true (y ?labels=a,b) la exportación además se guarda en el repositorio de snapshots (cifrada si
+// hay clave). Se escribe a disco mientras se envía al cliente; el id va en `x-snapshot-id` desde el inicio y el
+// snapshot solo se crea si la transferencia termina completa.
+const storeRequiresWrite = (req, res, next) => (asBool(req.query.store) ? requireScope('backup:write')(req, res, next) : next());
+
+app.post('/v1/backup/export', requireScope('backup:read'), storeRequiresWrite, async (req, res) => {
   if (!BACKUP_BASE_URL) return res.status(500).json({ error: 'Missing BACKUP_BASE_URL' });
+  const { store, labels, ...query } = req.query;
+  const storing = asBool(store);
+  const staged = storing ? join(SNAPSHOT_DIR, `${newId('export')}.part`) : null;
   try {
-    const { response, buffer, url } = await forwardPost({
+    const upstream = await forwardPost({
       base: BACKUP_BASE_URL,
       path: BACKUP_PATH,
       key: BACKUP_INTERNAL_KEY,
-      body: req.body,
+      body: req.body ?? {},
+      query: storing ? query : req.query,
+      timeoutMs: asTimeout(BACKUP_TIMEOUT_MS),
+      signal: clientSignal(res),
+    });
+    if (!storing || !upstream.response.ok) {
+      return await relayUpstream(res, upstream, { service: 'Backup', defaultType: 'application/octet-stream' });
+    }
+    await mkdir(SNAPSHOT_DIR, { recursive: true });
+    const id = newId('snap');
+    res.setHeader('x-snapshot-id', id);
+    const copy = createWriteStream(staged);
+    await relayUpstream(res, upstream, { service: 'Backup', defaultType: 'application/octet-stream', copyTo: copy });
+    await new Promise((resolve, reject) => copy.end(error => (error ? reject(error) : resolve())));
+    const { meta } = await saveSnapshot({
+      file: staged,
+      id,
+      contentType: upstream.response.headers.get('content-type') || 'application/octet-stream',
+      labels: String(labels || '').split(','),
+      source: 'export',
+    });
+    console.log(`[snapshots] exportación guardada como ${meta.id} (${meta.size} bytes)`);
+    return undefined;
+  } catch (error) {
+    return forwardFailure(res, error, 'Backup');
+  } finally {
+    if (staged) await unlink(staged).catch(() => {});
+  }
+});
+
+const restoreTarget = () => ({
+  base: RESTORE_BASE_URL || BACKUP_BASE_URL,
+  path: RESTORE_PATH || BACKUP_PATH,
+  key: RESTORE_INTERNAL_KEY || BACKUP_INTERNAL_KEY,
+});
+
+// Restore en crudo (binarios grandes): el cuerpo se canaliza al servicio de restore sin cargarlo en memoria
+app.post('/v1/backup/restore/raw', requireScope('backup:write'), async (req, res) => {
+  const { base, path, key } = restoreTarget();
+  if (!base) return res.status(500).json({ error: 'Missing RESTORE_BASE_URL or BACKUP_BASE_URL' });
+  const maxBytes = asInt(BACKUP_MAX_UPLOAD_BYTES, 0);
+  const declared = req.headers['content-length'] ? Number(req.headers['content-length']) : null;
+  if (maxBytes && declared > maxBytes) return forwardFailure(res, payloadTooLarge(maxBytes), 'Restore');
+  try {
+    const upstream = await forwardPost({
+      base,
+      path,
+      key,
+      body: req,
       query: req.query,
       timeoutMs: asTimeout(BACKUP_TIMEOUT_MS),
-      contentType: req.headers['content-type'],
+      contentType: req.headers['content-type'] || 'application/octet-stream',
+      contentLength: req.headers['transfer-encoding'] ? null : declared,
+      maxBytes,
+      signal: clientSignal(res),
     });
+    return await relayUpstream(res, upstream, { service: 'Restore', defaultType: 'application/json' });
+  } catch (error) {
+    return forwardFailure(res, error, 'Restore');
+  }
+});
+
+// Reenvía el cuerpo tal cual, o un snapshot del repositorio con { snapshot_id, paths? }.
+// `paths` (JSON Pointer o notación con puntos) limita lo que se envía; `dry_run` devuelve lo que se enviaría.
+app.post('/v1/backup/restore', requireScope('backup:write'), async (req, res) => {
+  const { base, path, key } = restoreTarget();
+  if (!base) return res.status(500).json({ error: 'Missing RESTORE_BASE_URL or BACKUP_BASE_URL' });
+  try {
+    const { dry_run: dryRunQuery, ...query } = req.query;
+    let body = req.body;
+    const dryRun = asBool(dryRunQuery) || body?.dry_run === true;
+    if (isPlainObject(body) && 'dry_run' in body) {
+      const { dry_run: _dryRun, ...rest } = body;
+      body = rest;
+    }
+    let sendType = req.headers['content-type'];
+    let sendLength = null;
+    let selection = null;
+    if (isPlainObject(body) && body.snapshot_id) {
+      const meta = snapshots.list.find(m => m.id === body.snapshot_id);
+      if (!meta) return snapshotNotFound(res, body.snapshot_id);
+      // Un snapshot que no pasa la verificación no se restaura salvo `allow_unverified: true`
+      const problems = await verifySnapshot(meta);
+      if (problems.length && body.allow_unverified !== true) {
+        return res.status(422).json({ ok: false, error: 'integrity_check_failed', id: meta.id, problems });
+      }
+      if (problems.length) console.warn(`[restore] ${meta.id} restaurado sin verificar: ${problems.join(', ')}`);
+      const paths = [body.paths || []].flat().map(String);
+      selection = { snapshot_id: meta.id, paths, verified: !problems.length, ...(problems.length ? { problems } : {}) };
+      if (paths.length) {
+        const { selected, missing } = selectJsonPaths(await readSnapshotJson(meta), paths);
+        if (missing.length) return res.status(400).json({ ok: false, error: 'paths_not_found', paths: missing });
+        body = selected;
+      } else if (dryRun) {
+        body = /json/i.test(meta.content_type) ? await readSnapshotJson(meta) : { bytes: meta.size };
+        sendType = meta.content_type;
+        sendLength = meta.size;
+      } else {
+        body = snapshotStream(meta);
+        sendType = meta.content_type;
+        sendLength = meta.size;
+      }
+    }
+
+    if (dryRun) {
+      return res.json({
+        ok: true,
+        dry_run: true,
+        url: buildUrl(base, path, query),
+        content_type: sendType && sendLength != null ? sendType : 'application/json',
+        size_bytes: sendLength ?? Buffer.byteLength(JSON.stringify(body ?? {}), 'utf8'),
+        ...(selection || {}),
+        body,
+      });
+    }
+
+    const upstream = await forwardPost({
+      base,
+      path,
+      key,
+      body: body ?? {},
+      query,
+      timeoutMs: asTimeout(BACKUP_TIMEOUT_MS),
+      contentType: sendType,
+      contentLength: sendLength,
+      signal: clientSignal(res),
+    });
+    return await relayUpstream(res, upstream, { service: 'Restore', defaultType: 'application/json' });
+  } catch (error) {
+    return forwardFailure(res, error, 'Restore');
+  }
+});
+
+/* ---------- Subidas reanudables (backup) ---------- */
+// Protocolo por chunks para restores grandes sobre conexiones inestables:
+//   POST   /v1/backup/uploads                 { size?, sha256?, content_type? } -> crea la subida
+//   PUT    /v1/backup/uploads/:id             chunk en crudo; offset en `Upload-Offset`, `Content-Range` o ?offset=
+//   GET    /v1/backup/uploads/:id             estado y offset actual (para reanudar)
+//   POST   /v1/backup/uploads/:id/finalize    { sha256? } -> verifica el checksum y reenvía al restore
+//   DELETE /v1/backup/uploads/:id             descarta la subida
+// Los datos se acumulan en UPLOAD_DIR/<id>.part (lo recibido de un chunk cortado se conserva, así el cliente
+// reanuda desde el offset informado) y el estado en <id>.json, por lo que sobreviven a un reinicio.
+// Las subidas sin actividad durante UPLOAD_TTL_MS se eliminan.
+const uploadMetaFile = id => join(UPLOAD_DIR, `${id}.json`);
+const uploadDataFile = id => join(UPLOAD_DIR, `${id}.part`);
+const uploads = new Map();
+const uploadsBusy = new Set();
+
+function loadUploads() {
+  if (!existsSync(UPLOAD_DIR)) return;
+  for (const name of readdirSync(UPLOAD_DIR).filter(n => n.endsWith('.json'))) {
+    try {
+      const upload = JSON.parse(readFileSync(join(UPLOAD_DIR, name), 'utf8'));
+      // El archivo manda: si el proceso murió a mitad de un chunk, el offset real es lo que llegó a disco
+      upload.offset = existsSync(uploadDataFile(upload.id)) ? statSync(uploadDataFile(upload.id)).size : 0;
+      uploads.set(upload.id, upload);
+    } catch (error) {
+      console.warn(`[uploads] no se pudo leer ${name}: ${String(error?.message || error)}`);
+    }
+  }
+  if (uploads.size) console.log(`[uploads] ${uploads.size} subida(s) pendiente(s) en ${UPLOAD_DIR}`);
+}
+loadUploads();
+
+const saveUpload = upload => writeJsonFile(uploadMetaFile(upload.id), upload);
+
+async function removeUpload(id) {
+  uploads.delete(id);
+  await unlink(uploadMetaFile(id)).catch(() => {});
+  await unlink(uploadDataFile(id)).catch(() => {});
+}
+
+const uploadNotFound = (res, id) => res.status(404).json({ ok: false, error: 'upload_not_found', id });
+
+function uploadView(upload) {
+  return { ...upload, complete: upload.size != null && upload.offset === upload.size, expires_at: upload.updated_at + asInt(UPLOAD_TTL_MS, 86400000) };
+}
+
+// Offset del chunk: cabecera Upload-Offset, Content-Range (`bytes <inicio>-<fin>/<total|*>`) o ?offset=
+function chunkRange(req) {
+  const range = String(req.get('content-range') || '').match(/^bytes (\d+)-(\d+)\/(\d+|\*)$/);
+  if (range) return { offset: Number(range[1]), total: range[3] === '*' ? null : Number(range[3]) };
+  const raw = req.get('upload-offset') ?? req.query.offset;
+  return { offset: raw === undefined || raw === '' ? null : Number(raw), total: null };
+}
+
+async function fileSha256(file) {
+  const hash = createHash('sha256');
+  await pipeline(createReadStream(file), hash);
+  return hash.digest('hex');
+}
+
+setInterval(async () => {
+  const ttl = asInt(UPLOAD_TTL_MS, 86400000);
+  const stale = [...uploads.values()].filter(u => !uploadsBusy.has(u.id) && Date.now() - u.updated_at > ttl);
+  for (const upload of stale) await removeUpload(upload.id);
+  if (stale.length) console.log(`[uploads] ${stale.length} subida(s) expirada(s) eliminada(s)`);
+}, 60 * 60 * 1000).unref();
+
+app.post('/v1/backup/uploads', requireScope('backup:write'), async (req, res) => {
+  const body = req.body || {};
+  const size = body.size == null ? null : Number(body.size);
+  if (size != null && !(Number.isInteger(size) && size >= 0)) return res.status(400).json({ ok: false, error: 'size must be a non-negative integer' });
+  const maxBytes = asInt(BACKUP_MAX_UPLOAD_BYTES, 0);
+  if (maxBytes && size > maxBytes) return forwardFailure(res, payloadTooLarge(maxBytes), 'Restore');
+  if (body.sha256 != null && !/^[a-f0-9]{64}$/i.test(String(body.sha256))) return res.status(400).json({ ok: false, error: 'sha256 must be 64 hex characters' });
 
-    if (!response.ok) {
-      return res
-        .status(response.status)
-        .json({ error: `Backup service ${response.status} @ ${url}`, body: buffer.toString('utf8', 0, 600) });
-    }
+  const now = Date.now();
+  const upload = {
+    id: newId('upl'),
+    created_at: now,
+    updated_at: now,
+    size,
+    offset: 0,
+    sha256: body.sha256 ? String(body.sha256).toLowerCase() : null,
+    content_type: String(body.content_type || 'application/octet-stream'),
+  };
+  await mkdir(UPLOAD_DIR, { recursive: true });
+  await writeFile(uploadDataFile(upload.id), Buffer.alloc(0));
+  uploads.set(upload.id, upload);
+  saveUpload(upload);
+  res.setHeader('location', `/v1/backup/uploads/${upload.id}`);
+  return res.status(201).json({ ok: true, upload: uploadView(upload) });
+});
 
-    const contentType = response.headers.get('content-type') || 'application/octet-stream';
-    const disposition = response.headers.get('content-disposition');
-    if (contentType) res.setHeader('content-type', contentType);
-    if (disposition) res.setHeader('content-disposition', disposition);
+app.get('/v1/backup/uploads/:id', requireScope('backup:write'), (req, res) => {
+  const upload = uploads.get(req.params.id);
+  if (!upload) return uploadNotFound(res, req.params.id);
+  res.setHeader('upload-offset', upload.offset);
+  return res.json({ ok: true, upload: uploadView(upload) });
+});
 
-    if (contentType.includes('application/json')) {
-      return res.send(buffer.toString('utf8'));
-    }
-    return res.send(buffer);
+app.put('/v1/backup/uploads/:id', requireScope('backup:write'), async (req, res) => {
+  const upload = uploads.get(req.params.id);
+  if (!upload) return uploadNotFound(res, req.params.id);
+  if (uploadsBusy.has(upload.id)) return res.status(409).json({ ok: false, error: 'upload_busy', offset: upload.offset });
+  const { offset, total } = chunkRange(req);
+  if (offset === null || !Number.isInteger(offset)) return res.status(400).json({ ok: false, error: 'Missing chunk offset (Upload-Offset, Content-Range or ?offset=)' });
+  // Solo se acepta continuar exactamente donde quedó; el cliente consulta el offset y reenvía desde ahí
+  if (offset !== upload.offset) return res.status(409).json({ ok: false, error: 'offset_mismatch', offset: upload.offset });
+  if (total != null && upload.size != null && total !== upload.size) return res.status(400).json({ ok: false, error: `Content-Range total ${total} does not match upload size ${upload.size}` });
+
+  const limit = total ?? upload.size ?? (asInt(BACKUP_MAX_UPLOAD_BYTES, 0) || null);
+  const declared = req.headers['content-length'] ? Number(req.headers['content-length']) : null;
+  if (limit != null && declared != null && upload.offset + declared > limit) {
+    return res.status(413).json({ ok: false, error: `Chunk exceeds upload size ${limit}`, offset: upload.offset });
+  }
+
+  let written = upload.offset;
+  let failure = null;
+  uploadsBusy.add(upload.id);
+  try {
+    await pipeline(
+      req,
+      new Transform({
+        transform(chunk, _encoding, callback) {
+          written += chunk.length;
+          if (limit != null && written > limit) return callback(payloadTooLarge(limit));
+          return callback(null, chunk);
+        },
+      }),
+      createWriteStream(uploadDataFile(upload.id), { flags: 'a' }),
+    );
   } catch (error) {
-    const message = error?.name === 'AbortError' ? 'Backup service timeout reached' : String(error?.message || error);
-    res.status(500).json({ error: message });
+    failure = error;
   }
+  // Un chunk que excede el tamaño se descarta entero; uno cortado por la conexión conserva lo que llegó
+  // y el cliente reanuda desde el nuevo offset
+  if (failure?.status === 413) await truncate(uploadDataFile(upload.id), upload.offset).catch(() => {});
+  upload.offset = (await stat(uploadDataFile(upload.id)).catch(() => ({ size: upload.offset }))).size;
+  if (total != null && upload.size == null) upload.size = total;
+  upload.updated_at = Date.now();
+  saveUpload(upload);
+  uploadsBusy.delete(upload.id);
+
+  if (res.destroyed) return undefined;
+  res.setHeader('upload-offset', upload.offset);
+  if (failure) return res.status(failure.status || 500).json({ ok: false, error: String(failure?.message || failure), offset: upload.offset });
+  return res.json({ ok: true, upload: uploadView(upload) });
 });
 
-// Restore en crudo (binarios grandes), reenvía el buffer tal cual
-app.post('/v1/backup/restore/raw', express.raw({ type: '*/*', limit: '200mb' }), async (req, res) => {
-  const base = RESTORE_BASE_URL || BACKUP_BASE_URL;
+app.post('/v1/backup/uploads/:id/finalize', requireScope('backup:write'), async (req, res) => {
+  const upload = uploads.get(req.params.id);
+  if (!upload) return uploadNotFound(res, req.params.id);
+  if (uploadsBusy.has(upload.id)) return res.status(409).json({ ok: false, error: 'upload_busy', offset: upload.offset });
+  const { base, path, key } = restoreTarget();
   if (!base) return res.status(500).json({ error: 'Missing RESTORE_BASE_URL or BACKUP_BASE_URL' });
+  const expected = String(req.body?.sha256 || upload.sha256 || '').toLowerCase();
+  if (!expected) return res.status(400).json({ ok: false, error: 'sha256 is required (on create or finalize)' });
+  if (upload.size != null && upload.offset !== upload.size) {
+    return res.status(409).json({ ok: false, error: 'upload_incomplete', offset: upload.offset, size: upload.size });
+  }
+
+  uploadsBusy.add(upload.id);
   try {
-    const { response, buffer, url } = await forwardPost({
+    const actual = await fileSha256(uploadDataFile(upload.id));
+    if (actual !== expected) {
+      return res.status(422).json({ ok: false, error: 'checksum_mismatch', expected, actual, offset: upload.offset });
+    }
+    const upstream = await forwardPost({
       base,
-      path: RESTORE_PATH || BACKUP_PATH,
-      key: RESTORE_INTERNAL_KEY || BACKUP_INTERNAL_KEY,
-      body: req.body, // Buffer
+      path,
+      key,
+      body: createReadStream(uploadDataFile(upload.id)),
       query: req.query,
       timeoutMs: asTimeout(BACKUP_TIMEOUT_MS),
-      contentType: req.headers['content-type'] || 'application/octet-stream',
+      contentType: upload.content_type,
+      contentLength: upload.offset,
+      signal: clientSignal(res),
     });
+    // Si el restore falla, la subida se conserva para reintentar el finalize sin volver a subir
+    const delivered = upstream.response.ok;
+    res.setHeader('x-upload-id', upload.id);
+    await relayUpstream(res, upstream, { service: 'Restore', defaultType: 'application/json' });
+    if (delivered) await removeUpload(upload.id);
+    return undefined;
+  } catch (error) {
+    return forwardFailure(res, error, 'Restore');
+  } finally {
+    uploadsBusy.delete(upload.id);
+  }
+});
 
-    const text = buffer.toString('utf8');
-    if (!response.ok) {
-      return res
-        .status(response.status)
-        .json({ error: `Restore service ${response.status} @ ${url}`, body: text.slice(0, 600) });
-    }
+app.delete('/v1/backup/uploads/:id', requireScope('backup:write'), async (req, res) => {
+  const upload = uploads.get(req.params.id);
+  if (!upload) return uploadNotFound(res, req.params.id);
+  if (uploadsBusy.has(upload.id)) return res.status(409).json({ ok: false, error: 'upload_busy', offset: upload.offset });
+  await removeUpload(upload.id);
+  return res.json({ ok: true, id: upload.id, deleted: true });
+});
 
-    const contentType = response.headers.get('content-type') || 'application/json';
-    res.setHeader('content-type', contentType);
-    if (contentType.includes('application/json')) {
-      return res.send(text);
+/* ---------- Backups programados ---------- */
+// BACKUP_SCHEDULE (cron de 5 campos o @hourly/@daily/@weekly/@monthly/@yearly, en hora local del servidor)
+// llama a la exportación BACKUP_BASE_URL/BACKUP_PATH con BACKUP_SCHEDULE_BODY y guarda el resultado en el
+// repositorio de snapshots (source 'schedule', etiquetas BACKUP_SCHEDULE_LABELS), que aplica cifrado y retención.
+// Si una ejecución sigue en curso cuando toca la siguiente, esta se omite. El estado se guarda en
+// SNAPSHOT_DIR/schedule.json y se expone en GET /v1/backup/schedule.
+const scheduleCron = BACKUP_SCHEDULE ? parseCron(BACKUP_SCHEDULE) : null;
+const scheduleBody = (() => {
+  try {
+    return JSON.parse(BACKUP_SCHEDULE_BODY || '{}');
+  } catch (error) {
+    throw new Error(`BACKUP_SCHEDULE_BODY no es JSON válido: ${error.message}`);
+  }
+})();
+const scheduleFile = () => join(SNAPSHOT_DIR, 'schedule.json');
+const backupSchedule = {
+  running: null,
+  next_run_at: null,
+  timer: null,
+  history: (() => {
+    try {
+      return existsSync(scheduleFile()) ? JSON.parse(readFileSync(scheduleFile(), 'utf8')) : {};
+    } catch {
+      return {};
     }
-    return res.send(buffer);
+  })(),
+};
+const scheduleHistory = () => ({ runs: 0, failures: 0, skipped: 0, last_run: null, last_success: null, last_error: null, ...backupSchedule.history });
+
+// Un fallo al persistir el historial (disco lleno, permisos) no debe tumbar la ejecución: queda en memoria
+function saveScheduleHistory() {
+  try {
+    writeJsonFile(scheduleFile(), backupSchedule.history);
   } catch (error) {
-    const message = error?.name === 'AbortError' ? 'Restore service timeout reached' : String(error?.message || error);
-    res.status(500).json({ error: message });
+    console.error(`[schedule] no se pudo guardar el historial: ${error?.message || error}`);
   }
-});
+}
 
-app.post('/v1/backup/restore', async (req, res) => {
-  const base = RESTORE_BASE_URL || BACKUP_BASE_URL;
-  if (!base) return res.status(500).json({ error: 'Missing RESTORE_BASE_URL or BACKUP_BASE_URL' });
+async function runScheduledBackup(trigger = 'schedule') {
+  if (backupSchedule.running) {
+    backupSchedule.history = { ...scheduleHistory(), skipped: scheduleHistory().skipped + 1 };
+    saveScheduleHistory();
+    console.warn(`[schedule] ejecución omitida: la anterior (${new Date(backupSchedule.running.started_at).toISOString()}) sigue en curso`);
+    return null;
+  }
+  const started = Date.now();
+  backupSchedule.running = { started_at: started, trigger };
+  const staged = join(SNAPSHOT_DIR, `${newId('export')}.part`);
+  let run;
   try {
-    const { response, buffer, url } = await forwardPost({
-      base,
-      path: RESTORE_PATH || BACKUP_PATH,
-      key: RESTORE_INTERNAL_KEY || BACKUP_INTERNAL_KEY,
-      body: req.body,
-      query: req.query,
+    if (!BACKUP_BASE_URL) throw new Error('Missing BACKUP_BASE_URL');
+    await mkdir(SNAPSHOT_DIR, { recursive: true });
+    const upstream = await forwardPost({
+      base: BACKUP_BASE_URL,
+      path: BACKUP_PATH,
+      key: BACKUP_INTERNAL_KEY,
+      body: scheduleBody,
       timeoutMs: asTimeout(BACKUP_TIMEOUT_MS),
-      contentType: req.headers['content-type'],
     });
-
-    const text = buffer.toString('utf8');
-    if (!response.ok) {
-      return res
-        .status(response.status)
-        .json({ error: `Restore service ${response.status} @ ${url}`, body: text.slice(0, 600) });
-    }
-
-    const contentType = response.headers.get('content-type') || 'application/json';
-    res.setHeader('content-type', contentType);
-    if (contentType.includes('application/json')) {
-      return res.send(text);
+    try {
+      if (!upstream.response.ok) {
+        const text = await upstream.response.text();
+        throw new Error(`Backup service ${upstream.response.status} @ ${upstream.url}: ${text.slice(0, 300)}`);
+      }
+      const activity = new Transform({
+        transform(chunk, _encoding, callback) {
+          upstream.touch();
+          callback(null, chunk);
+        },
+      });
+      await pipeline(upstream.response.body, activity, createWriteStream(staged));
+    } finally {
+      upstream.release();
     }
-    return res.send(buffer);
+    const { meta, removed } = await saveSnapshot({
+      file: staged,
+      contentType: upstream.response.headers.get('content-type') || 'application/octet-stream',
+      labels: BACKUP_SCHEDULE_LABELS.split(','),
+      source: 'schedule',
+    });
+    run = { ok: true, trigger, started_at: started, duration_ms: Date.now() - started, snapshot_id: meta.id, size: meta.size, retention_removed: removed };
+    console.log(`[schedule] backup ${meta.id} (${meta.size} bytes) en ${run.duration_ms}ms`);
   } catch (error) {
-    const message = error?.name === 'AbortError' ? 'Restore service timeout reached' : String(error?.message || error);
-    res.status(500).json({ error: message });
+    const message = error?.name === 'AbortError' ? 'Backup service timeout reached' : String(error?.message || error);
+    run = { ok: false, trigger, started_at: started, duration_ms: Date.now() - started, error: message };
+    console.error(`[schedule] backup falló: ${message}`);
+  } finally {
+    await unlink(staged).catch(() => {});
+    backupSchedule.running = null;
+  }
+  const history = scheduleHistory();
+  backupSchedule.history = {
+    ...history,
+    runs: history.runs + 1,
+    failures: history.failures + (run.ok ? 0 : 1),
+    last_run: run,
+    ...(run.ok ? { last_success: run } : { last_error: { at: run.started_at, message: run.error } }),
+  };
+  saveScheduleHistory();
+  return run;
+}
+
+// setTimeout admite como máximo ~24.8 días: para esperas más largas se rearma al vencer
+function armBackupSchedule() {
+  if (!scheduleCron) return;
+  const next = nextCronRun(scheduleCron);
+  backupSchedule.next_run_at = next;
+  if (next === null) {
+    console.warn(`[schedule] "${scheduleCron.expression}" no tiene próximas ejecuciones`);
+    return;
+  }
+  const wait = Math.min(next - Date.now(), 2 ** 31 - 1);
+  backupSchedule.timer = setTimeout(() => {
+    if (Date.now() < next) return armBackupSchedule();
+    armBackupSchedule();
+    return runScheduledBackup().catch(error => console.error('[schedule] error inesperado en el backup programado:', error));
+  }, wait);
+  backupSchedule.timer.unref();
+}
+if (scheduleCron) {
+  armBackupSchedule();
+  console.log(`[schedule] backups con "${scheduleCron.expression}"; próximo ${new Date(backupSchedule.next_run_at).toISOString()}`);
+}
+
+app.get('/v1/backup/schedule', requireScope('backup:read'), (_req, res) => {
+  const history = scheduleHistory();
+  const iso = ms => (ms ? new Date(ms).toISOString() : null);
+  return res.json({
+    enabled: Boolean(scheduleCron),
+    expression: scheduleCron?.expression ?? null,
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    running: backupSchedule.running ? { ...backupSchedule.running, started_at: iso(backupSchedule.running.started_at) } : null,
+    next_run: iso(backupSchedule.next_run_at),
+    last_run: history.last_run ? { ...history.last_run, started_at: iso(history.last_run.started_at) } : null,
+    last_success: history.last_success ? { ...history.last_success, started_at: iso(history.last_success.started_at) } : null,
+    last_error: history.last_error ? { ...history.last_error, at: iso(history.last_error.at) } : null,
+    last_duration_ms: history.last_run?.duration_ms ?? null,
+    runs: history.runs,
+    failures: history.failures,
+    skipped: history.skipped,
+  });
+});
+
+// Ejecución manual fuera de calendario (respeta la protección contra solapamiento)
+app.post('/v1/backup/schedule/run', requireScope('backup:write'), async (_req, res) => {
+  if (backupSchedule.running) {
+    return res.status(409).json({ ok: false, error: 'backup_running', started_at: new Date(backupSchedule.running.started_at).toISOString() });
   }
+  const run = await runScheduledBackup('manual');
+  return res.status(run.ok ? 200 : 502).json({ ...run, started_at: new Date(run.started_at).toISOString() });
 });
 
       /* ---------- REMOTE DESKTOP / SCREEN CAPTURE ---------- */
 // In-memory storage para sesiones remotas y frames
-const remoteSessions = new Map(); // sessionId -> { startTime, lastFrame, status }
-const remoteFrames = new Map(); // sessionId -> { frameData, width, height, timestamp }
+const remoteSessions = new Map(); // sessionId -> { tokenHash, startTime, lastActivity, lastFrame, status, ... }
+const remoteFrames = new Map(); // sessionId -> { seq, items: [frame], bytes } (ring buffer, el último al final)
+const remoteFrameById = new Map(); // frameId -> frame
+const remoteActions = new Map(); // sessionId -> { seq, items: [acción], pollers: Set<fn> }
+const remoteActionById = new Map(); // actionId -> acción
+const remoteActionWaiters = new Map(); // actionId -> Set<fn> (callers esperando el ack)
+const remoteSubscribers = new Map(); // sessionId -> Set<{ role, framesMeta, send(type, data), close() }>
+
+/* Canal push por sesión. Los suscriptores (WebSocket o SSE) tienen rol `extension` (recibe acciones) o
+   `viewer` (recibe frames, estado y actualizaciones de acciones). Las rutas REST publican en el mismo canal. */
+function publishRemote(sessionId, type, data, role = 'viewer') {
+  for (const sub of remoteSubscribers.get(sessionId) || []) {
+    if (role === 'all' || sub.role === role) sub.send(type, data);
+  }
+}
 
-// Iniciar una sesión de captura remota
-app.post('/v1/remote/session/start', (req, res) => {
+function subscribeRemote(sessionId, sub) {
+  if (!remoteSubscribers.has(sessionId)) remoteSubscribers.set(sessionId, new Set());
+  remoteSubscribers.get(sessionId).add(sub);
+  if (sub.role === 'extension') {
+    // Al conectar recibe lo pendiente o entregado sin confirmar (p.ej. tras reconectar)
+    for (const item of takeActions(sessionId, 0)) sub.send('action', actionView(item));
+    publishRemote(sessionId, 'status', remoteStatusView(sessionId));
+  }
+  return () => {
+    remoteSubscribers.get(sessionId)?.delete(sub);
+    if (!remoteSubscribers.get(sessionId)?.size) remoteSubscribers.delete(sessionId);
+    if (sub.role === 'extension' && liveSession(sessionId)) publishRemote(sessionId, 'status', remoteStatusView(sessionId));
+  };
+}
+
+const remoteSubscriberCount = (sessionId, role) => [...(remoteSubscribers.get(sessionId) || [])].filter(sub => sub.role === role).length;
+
+// Las acciones nuevas van directo a las extensiones conectadas por push (quedan como entregadas)
+function pushActions(sessionId) {
+  if (!remoteSubscriberCount(sessionId, 'extension')) return;
+  const queue = actionQueue(sessionId);
+  for (const item of queue.items.filter(i => i.status === 'pending')) {
+    item.status = 'delivered';
+    item.deliveredAt = Date.now();
+    publishRemote(sessionId, 'action', actionView(item), 'extension');
+  }
+}
+
+/* Cola de acciones por sesión (FIFO). Cada acción tiene un `seq` creciente dentro de la sesión, que la extensión
+   usa como cursor (`since`). Estados: pending -> delivered -> done | failed; también expired (sin entregar ni
+   confirmar en REMOTE_ACTION_TTL_MS) y cancelled (sesión detenida). Las terminadas se conservan hasta
+   REMOTE_ACTION_HISTORY por sesión para poder consultarlas. */
+const ACTION_FINAL = new Set(['done', 'failed', 'expired', 'cancelled']);
+const actionWaitMs = value => Math.min(Math.max(asInt(value, 0), 0), asInt(REMOTE_ACTION_WAIT_MAX_MS, 60000));
+
+function actionQueue(sessionId) {
+  if (!remoteActions.has(sessionId)) remoteActions.set(sessionId, { seq: 0, items: [], pollers: new Set() });
+  return remoteActions.get(sessionId);
+}
+
+const actionView = ({ id, seq, sessionId, action, payload, status, createdAt, deliveredAt, ackedAt, result, error }) => (
+  { id, seq, sessionId, action, ...payload, status, createdAt, deliveredAt, ackedAt, result, error }
+);
+
+function settleAction(item, status, { result = null, error = null } = {}) {
+  item.status = status;
+  item.ackedAt = Date.now();
+  item.result = result;
+  item.error = error;
+  for (const notify of remoteActionWaiters.get(item.id) || []) notify(item);
+  remoteActionWaiters.delete(item.id);
+  publishRemote(item.sessionId, 'action_update', actionView(item));
+}
+
+// Marca como expiradas las acciones viejas sin confirmar y recorta el historial de terminadas
+function pruneActions(queue) {
+  const ttl = asInt(REMOTE_ACTION_TTL_MS, 120000);
+  for (const item of queue.items) {
+    if (!ACTION_FINAL.has(item.status) && Date.now() - item.createdAt > ttl) settleAction(item, 'expired', { error: 'Action not acknowledged in time' });
+  }
+  const finished = queue.items.filter(item => ACTION_FINAL.has(item.status));
+  for (const item of finished.slice(0, Math.max(finished.length - asInt(REMOTE_ACTION_HISTORY, 100), 0))) {
+    remoteActionById.delete(item.id);
+    queue.items.splice(queue.items.indexOf(item), 1);
+  }
+}
+
+function enqueueAction(sessionId, action, payload) {
+  const queue = actionQueue(sessionId);
+  pruneActions(queue);
+  queue.seq += 1;
+  const item = { id: newId('act'), seq: queue.seq, sessionId, action, payload, status: 'pending', createdAt: Date.now(), deliveredAt: null, ackedAt: null, result: null, error: null };
+  queue.items.push(item);
+  remoteActionById.set(item.id, item);
+  console.log(`[Remote] Acción encolada: ${action} (${item.id}) en sesión ${sessionId}`);
+  pushActions(sessionId);
+  for (const wake of queue.pollers) wake();
+  publishRemote(sessionId, 'action_update', actionView(item));
+  return item;
+}
+
+// Acciones aún no confirmadas con seq > since; al devolverlas quedan como entregadas
+function takeActions(sessionId, since) {
+  const queue = actionQueue(sessionId);
+  pruneActions(queue);
+  const items = queue.items.filter(item => item.seq > since && (item.status === 'pending' || item.status === 'delivered'));
+  for (const item of items) {
+    if (item.status === 'pending') {
+      item.status = 'delivered';
+      item.deliveredAt = Date.now();
+    }
+  }
+  return items;
+}
+
+function waitForAck(item, ms) {
+  if (ACTION_FINAL.has(item.status) || !ms) return Promise.resolve(item);
+  return new Promise(resolve => {
+    const waiters = remoteActionWaiters.get(item.id) || new Set();
+    remoteActionWaiters.set(item.id, waiters);
+    const done = () => {
+      clearTimeout(timer);
+      waiters.delete(done);
+      resolve(item);
+    };
+    const timer = setTimeout(done, ms);
+    waiters.add(done);
+  });
+}
+
+function clearActions(sessionId, reason = 'Session stopped') {
+  const queue = remoteActions.get(sessionId);
+  if (!queue) return;
+  for (const item of queue.items) {
+    if (!ACTION_FINAL.has(item.status)) settleAction(item, 'cancelled', { error: reason });
+    remoteActionById.delete(item.id);
+  }
+  for (const wake of queue.pollers) wake();
+  remoteActions.delete(sessionId);
+}
+
+/* Ciclo de vida de sesiones: active <-> idle -> expired, y stopped vía session/stop.
+   `session/start` genera el sessionId y un sessionToken que hay que mandar en `x-session-token` para enviar
+   frames y controlar la sesión (solo se guarda su hash). La actividad la marca el lado de la extensión (frames,
+   polling y acks de acciones, conexión push abierta). Sin actividad en REMOTE_SESSION_IDLE_MS pasa a idle; en
+   REMOTE_SESSION_IDLE_TIMEOUT_MS, o al cumplir REMOTE_SESSION_MAX_LIFETIME_MS, expira. Al terminar se liberan
+   frames, acciones y conexiones; la sesión queda una hora como registro para que `status` informe cómo acabó. */
+const SESSION_LIVE = new Set(['active', 'idle']);
+const ENDED_SESSION_RETENTION_MS = 60 * 60 * 1000;
+const sessionTokenHash = token => createHash('sha256').update(String(token)).digest();
+
+const liveSession = sessionId => {
+  const session = remoteSessions.get(sessionId);
+  return session && SESSION_LIVE.has(session.status) ? session : null;
+};
+const liveSessionCount = () => [...remoteSessions.values()].filter(session => SESSION_LIVE.has(session.status)).length;
+
+function sessionExpiresAt(session) {
+  if (!SESSION_LIVE.has(session.status)) return null;
+  return Math.min(session.startTime + asInt(REMOTE_SESSION_MAX_LIFETIME_MS, 14400000), session.lastActivity + asInt(REMOTE_SESSION_IDLE_TIMEOUT_MS, 600000));
+}
+
+function touchSession(sessionId) {
+  const session = liveSession(sessionId);
+  if (!session) return;
+  session.lastActivity = Date.now();
+  if (session.status === 'idle') {
+    session.status = 'active';
+    publishRemote(sessionId, 'status', remoteStatusView(sessionId), 'all');
+  }
+}
+
+function endSession(sessionId, status, reason) {
+  const session = remoteSessions.get(sessionId);
+  if (!session || !SESSION_LIVE.has(session.status)) return;
+  session.status = status;
+  session.endedAt = Date.now();
+  session.endReason = reason;
+  clearFrames(sessionId);
+  clearActions(sessionId, status === 'expired' ? 'Session expired' : 'Session stopped');
+  publishRemote(sessionId, 'status', remoteStatusView(sessionId), 'all');
+  for (const sub of remoteSubscribers.get(sessionId) || []) sub.close();
+  remoteSubscribers.delete(sessionId);
+  console.log(`[Remote] Sesión ${status === 'expired' ? 'expirada' : 'detenida'}: ${sessionId} (${reason})`);
+}
+
+// Aplica las transiciones por tiempo de una sesión viva (la usan el reaper y cada request sobre la sesión)
+function refreshSession(sessionId, session, now = Date.now()) {
+  if (!SESSION_LIVE.has(session.status)) return;
+  // Una extensión conectada al canal push cuenta como viva (el ping/pong cierra las conexiones muertas)
+  if (remoteSubscriberCount(sessionId, 'extension')) session.lastActivity = now;
+  if (now - session.startTime >= asInt(REMOTE_SESSION_MAX_LIFETIME_MS, 14400000)) {
+    endSession(sessionId, 'expired', 'max_lifetime');
+  } else if (now - session.lastActivity >= asInt(REMOTE_SESSION_IDLE_TIMEOUT_MS, 600000)) {
+    endSession(sessionId, 'expired', 'idle_timeout');
+  } else if (session.status === 'active' && now - session.lastActivity >= asInt(REMOTE_SESSION_IDLE_MS, 60000)) {
+    session.status = 'idle';
+    publishRemote(sessionId, 'status', remoteStatusView(sessionId), 'all');
+  }
+}
+
+// Reaper: marca idle, expira sesiones y olvida las terminadas hace más de una hora
+function reapRemoteSessions() {
+  const now = Date.now();
+  for (const [sessionId, session] of remoteSessions) {
+    if (SESSION_LIVE.has(session.status)) refreshSession(sessionId, session, now);
+    else if (now - session.endedAt > ENDED_SESSION_RETENTION_MS) remoteSessions.delete(sessionId);
+  }
+}
+setInterval(reapRemoteSessions, 5000).unref();
+
+// Valida sesión y sessionToken: devuelve { session } o { status, error }. Los tickets de vista ya se
+// emitieron con el token validado, así que no lo vuelven a pedir.
+function checkRemoteSession(req, sessionId, { allowEnded = false } = {}) {
+  if (!sessionId) return { status: 400, error: 'Missing sessionId' };
+  const session = remoteSessions.get(sessionId);
+  if (!session) return { status: 404, error: 'Session not found' };
+  refreshSession(sessionId, session);
+  if (!req.viewTicket) {
+    const token = req.headers['x-session-token'];
+    if (!token) return { status: 401, error: 'Missing x-session-token header' };
+    if (!timingSafeEqual(sessionTokenHash(token), session.tokenHash)) return { status: 403, error: 'Invalid session token' };
+  }
+  if (!allowEnded && !SESSION_LIVE.has(session.status)) return { status: 410, error: `Session ${session.status}`, sessionStatus: session.status };
+  return { session };
+}
+
+// El sessionId puede venir en la ruta, en x-session-id, en ?sessionId= o en el cuerpo; si viene en varios sitios
+// tiene que ser el mismo. El validado queda en req.remoteSessionId y es el único que usan los handlers.
+function resolveRemoteSessionId(req) {
+  const ids = [req.params.sessionId, req.headers['x-session-id'], req.query.sessionId, req.body?.sessionId]
+    .filter(id => id !== undefined && id !== '');
+  if (ids.some(id => typeof id !== 'string' || id !== ids[0])) return { status: 400, error: 'Conflicting sessionId values' };
+  return { sessionId: ids[0] };
+}
+
+const requireRemoteSession = (options = {}) => (req, res, next) => {
+  const resolved = resolveRemoteSessionId(req);
+  if (resolved.error) return res.status(resolved.status).json({ error: resolved.error });
+  const { session, status, error, sessionStatus } = checkRemoteSession(req, resolved.sessionId, options);
+  if (!session) return res.status(status).json({ error, ...(sessionStatus ? { status: sessionStatus } : {}) });
+  req.remoteSessionId = resolved.sessionId;
+  return next();
+};
+
+// Iniciar una sesión de captura remota: el servidor genera el sessionId y el sessionToken
+app.post('/v1/remote/session/start', requireScope('remote:ingest'), (req, res) => {
   try {
-    const { sessionId, clientType } = req.body || {};
-    if (!sessionId) return res.status(400).json({ error: 'Missing sessionId' });
+    const { clientType } = req.body || {};
+    reapRemoteSessions();
+    const maxSessions = asInt(REMOTE_MAX_SESSIONS, 20);
+    if (liveSessionCount() >= maxSessions) return res.status(429).json({ error: 'Too many remote sessions', limit: maxSessions });
     
+    const sessionId = newId('rs');
+    const sessionToken = randomBytes(32).toString('base64url');
+    const now = Date.now();
     remoteSessions.set(sessionId, {
-      startTime: Date.now(),
+      tokenHash: sessionTokenHash(sessionToken),
+      startTime: now,
+      lastActivity: now,
       clientType,
       status: 'active',
-      frameCount: 0
+      frameCount: 0,
+      endedAt: null,
+      endReason: null
     });
     
     console.log(`[Remote] Sesión iniciada: ${sessionId} (${clientType})`);
-    res.json({ ok: true, sessionId, startTime: Date.now() });
+    res.json({
+      ok: true,
+      sessionId,
+      sessionToken,
+      startTime: now,
+      expiresAt: sessionExpiresAt(remoteSessions.get(sessionId)),
+      idleTimeoutMs: asInt(REMOTE_SESSION_IDLE_TIMEOUT_MS, 600000)
+    });
   } catch (error) {
     res.status(500).json({ error: String(error?.message || error) });
   }
 });
 
-// Recibir frame de pantalla desde la extensión
-app.post('/v1/remote/frame', (req, res) => {
+/* Historial de frames por sesión: ring buffer acotado por REMOTE_FRAME_HISTORY (cantidad) y
+   REMOTE_FRAME_HISTORY_BYTES (tamaño). Se descartan los más viejos; el último siempre se conserva.
+   Entre todas las sesiones no se pasa de REMOTE_FRAME_MEMORY_BYTES: primero se descarta el historial más
+   viejo de cualquier sesión, y si ni los últimos frames caben el frame nuevo se rechaza (507). */
+let remoteFrameBytes = 0;
+const latestFrame = sessionId => remoteFrames.get(sessionId)?.items.at(-1) || null;
+const frameStorageFull = message => Object.assign(new Error(message), { status: 507 });
+
+/* Los frames se guardan como bytes junto con su formato (image/jpeg, image/png o image/webp; null si no se
+   reconoce). Por JSON (REST o WebSocket) llegan en base64, con o sin prefijo data:, y el formato sale de los
+   magic bytes o del prefijo. Por POST binario el formato es el Content-Type, que tiene que coincidir con los bytes. */
+const FRAME_FORMATS = ['image/jpeg', 'image/png', 'image/webp'];
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function sniffImageFormat(bytes) {
+  if (bytes.length > 2 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'image/jpeg';
+  if (bytes.length > 8 && bytes.subarray(0, 8).equals(PNG_MAGIC)) return 'image/png';
+  if (bytes.length > 12 && bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+}
+
+function decodeFrameData(frameData) {
+  const text = String(frameData);
+  const prefix = text.match(/^data:([^;,]*)[^,]*,/);
+  const data = Buffer.from(prefix ? text.slice(prefix[0].length) : text, 'base64');
+  return { data, format: sniffImageFormat(data) || (FRAME_FORMATS.includes(prefix?.[1]) ? prefix[1] : null) };
+}
+
+const frameDataUrl = frame => `data:${frame.format || 'application/octet-stream'};base64,${frame.data.toString('base64')}`;
+
+function dropOldestFrame(ring) {
+  const old = ring.items.shift();
+  ring.bytes -= old.size;
+  remoteFrameBytes -= old.size;
+  remoteFrameById.delete(old.id);
+}
+
+function clearFrames(sessionId) {
+  const ring = remoteFrames.get(sessionId);
+  if (!ring) return;
+  for (const frame of ring.items) remoteFrameById.delete(frame.id);
+  remoteFrameBytes -= ring.bytes;
+  remoteFrames.delete(sessionId);
+}
+
+// Guarda el frame en el historial de la sesión y lo publica a los viewers conectados
+function storeFrame(sessionId, session, { data, format, width, height, timestamp }) {
+  const size = data.length;
+  const memoryLimit = asInt(REMOTE_FRAME_MEMORY_BYTES, 268435456);
+  // Lo mínimo a retener es el último frame de cada sesión (el de esta lo reemplaza el nuevo)
+  let floor = size;
+  for (const [id, other] of remoteFrames) if (id !== sessionId && other.items.length) floor += other.items.at(-1).size;
+  if (floor > memoryLimit) throw frameStorageFull('Remote frame memory limit reached');
+
+  if (!remoteFrames.has(sessionId)) remoteFrames.set(sessionId, { seq: 0, items: [], bytes: 0 });
+  const ring = remoteFrames.get(sessionId);
+  ring.seq += 1;
+  const frame = { id: newId('frm'), seq: ring.seq, sessionId, data, format, size, width, height, timestamp, receivedAt: Date.now() };
+  ring.items.push(frame);
+  ring.bytes += size;
+  remoteFrameBytes += size;
+  remoteFrameById.set(frame.id, frame);
+  const maxCount = Math.max(asInt(REMOTE_FRAME_HISTORY, 30), 1);
+  const maxBytes = asInt(REMOTE_FRAME_HISTORY_BYTES, 33554432);
+  while (ring.items.length > 1 && (ring.items.length > maxCount || ring.bytes > maxBytes)) dropOldestFrame(ring);
+  while (remoteFrameBytes > memoryLimit) {
+    let oldest = null;
+    for (const other of remoteFrames.values()) {
+      if (other.items.length > 1 && (!oldest || other.items[0].receivedAt < oldest.items[0].receivedAt)) oldest = other;
+    }
+    if (!oldest) break;
+    dropOldestFrame(oldest);
+  }
+  
+  // Actualizar conteo en sesión
+  session.frameCount = (session.frameCount || 0) + 1;
+  session.lastFrame = frame.receivedAt;
+  touchSession(sessionId);
+  publishRemote(sessionId, 'frame', frame);
+  return frame;
+}
+
+const frameView = (sessionId, frame, includeData = true) => ({
+  sessionId,
+  id: frame.id,
+  seq: frame.seq,
+  ...(includeData ? { data: frameDataUrl(frame) } : {}),
+  format: frame.format,
+  size: frame.size,
+  width: frame.width,
+  height: frame.height,
+  capturedAt: frame.timestamp,
+  receivedAt: frame.receivedAt
+});
+
+/* Ingesta binaria: además de JSON { sessionId, frameData (base64), width, height, timestamp }, POST /v1/remote/frame
+   acepta el cuerpo crudo (image/jpeg|png|webp) o multipart/form-data con un archivo (campo `frame` o el primero
+   con filename). En esos casos el sessionId va en `x-session-id` o ?sessionId= y las medidas en x-frame-width,
+   x-frame-height y x-frame-timestamp (en multipart también sirven campos width, height y timestamp). */
+const frameBodyParser = express.raw({ type: [...FRAME_FORMATS, 'multipart/form-data'], limit: '50mb' });
+const badFrame = (status, message) => Object.assign(new Error(message), { status });
+
+const frameNumber = (value, name) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw badFrame(400, `Invalid ${name}`);
+  return number;
+};
+
+// Binario: el Content-Type declarado tiene que coincidir con los magic bytes
+function binaryFrame(data, declared) {
+  if (!data.length) throw badFrame(400, 'Missing frame data');
+  const format = String(declared || '').split(';')[0].trim().toLowerCase();
+  if (!FRAME_FORMATS.includes(format)) throw badFrame(415, `Unsupported frame format '${format}' (expected ${FRAME_FORMATS.join(', ')})`);
+  if (sniffImageFormat(data) !== format) throw badFrame(415, `Frame body is not a valid ${format} image`);
+  return { data, format };
+}
+
+function frameFromRequest(req) {
+  const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const fromHeaders = {
+    width: frameNumber(req.headers['x-frame-width'], 'x-frame-width'),
+    height: frameNumber(req.headers['x-frame-height'], 'x-frame-height'),
+    timestamp: frameNumber(req.headers['x-frame-timestamp'], 'x-frame-timestamp')
+  };
+  if (Buffer.isBuffer(req.body) && type === 'multipart/form-data') {
+    const parts = parseMultipart(req.body, req.headers['content-type']);
+    const file = parts.find(part => part.name === 'frame') || parts.find(part => part.filename !== undefined);
+    if (!file) throw badFrame(400, "Missing frame file part (field 'frame')");
+    const field = name => parts.find(part => part.name === name && part !== file)?.data.toString('utf8');
+    return {
+      ...binaryFrame(file.data, file.contentType || sniffImageFormat(file.data)),
+      width: frameNumber(field('width'), 'width') ?? fromHeaders.width,
+      height: frameNumber(field('height'), 'height') ?? fromHeaders.height,
+      timestamp: frameNumber(field('timestamp'), 'timestamp') ?? fromHeaders.timestamp
+    };
+  }
+  if (Buffer.isBuffer(req.body)) return { ...binaryFrame(req.body, type), ...fromHeaders };
+  if (type && type !== 'application/json') {
+    throw badFrame(415, `Unsupported content-type '${type}' (expected application/json, multipart/form-data, ${FRAME_FORMATS.join(', ')})`);
+  }
+  const { frameData, width, height, timestamp } = req.body || {};
+  if (!frameData) throw badFrame(400, 'Missing frameData');
+  return { ...decodeFrameData(frameData), width, height, timestamp };
+}
+
+// Recibir frame de pantalla desde la extensión (JSON con base64 o binario)
+app.post('/v1/remote/frame', requireScope('remote:ingest'), requireRemoteSession(), frameBodyParser, (req, res) => {
   try {
-    const { sessionId, frameData, width, height, timestamp } = req.body || {};
-    if (!sessionId || !frameData) return res.status(400).json({ error: 'Missing sessionId or frameData' });
-    
-    const session = remoteSessions.get(sessionId);
-    if (!session) return res.status(404).json({ error: 'Session not found' });
-    
-    // Guardar frame (solo el último para no saturar memoria)
-    remoteFrames.set(sessionId, {
-      frameData,
-      width,
-      height,
-      timestamp,
-      receivedAt: Date.now()
-    });
-    
-    // Actualizar conteo en sesión
-    session.frameCount = (session.frameCount || 0) + 1;
-    session.lastFrame = Date.now();
-    
-    res.json({ ok: true, frameId: sessionId, size: frameData.length });
+    const sessionId = req.remoteSessionId;
+    const frame = storeFrame(sessionId, liveSession(sessionId), frameFromRequest(req));
+    res.json({ ok: true, frameId: frame.id, seq: frame.seq, format: frame.format, size: frame.size });
   } catch (error) {
-    res.status(500).json({ error: String(error?.message || error) });
+    res.status(error?.status || 500).json({ error: String(error?.message || error) });
   }
 });
 
+// Negociación por Accept: JSON con el frame en base64 (por defecto) o los bytes tal cual con su formato
+function sendFrame(req, res, frame, json) {
+  const format = frame.format || 'application/octet-stream';
+  const type = req.accepts(['application/json', format]);
+  if (!type) return res.status(406).json({ error: `Frame is ${format}; request it with Accept: application/json or ${format}`, format });
+  if (type === 'application/json') return res.json(json);
+  res.setHeader('content-type', format);
+  res.setHeader('x-frame-id', frame.id);
+  res.setHeader('x-frame-seq', frame.seq);
+  if (frame.width !== undefined) res.setHeader('x-frame-width', frame.width);
+  if (frame.height !== undefined) res.setHeader('x-frame-height', frame.height);
+  if (frame.timestamp !== undefined) res.setHeader('x-frame-timestamp', frame.timestamp);
+  res.setHeader('x-frame-received-at', frame.receivedAt);
+  return res.send(frame.data);
+}
+
 // Obtener último frame capturado (para que el agente lo vea)
-app.get('/v1/remote/last-frame', (req, res) => {
+app.get('/v1/remote/last-frame', requireScope('remote:control'), requireRemoteSession(), (req, res) => {
   try {
-    const { sessionId } = req.query;
-    if (!sessionId) return res.status(400).json({ error: 'Missing sessionId' });
+    const sessionId = req.remoteSessionId;
     
-    const frame = remoteFrames.get(sessionId);
+    const frame = latestFrame(sessionId);
     if (!frame) return res.status(404).json({ error: 'No frames available for this session' });
     
     const session = remoteSessions.get(sessionId);
     const uptime = session ? (Date.now() - session.startTime) / 1000 : 0;
     
-    res.json({
+    sendFrame(req, res, frame, {
       ok: true,
       frame: {
-        data: frame.frameData,
+        id: frame.id,
+        seq: frame.seq,
+        data: frameDataUrl(frame),
+        format: frame.format,
+        size: frame.size,
         width: frame.width,
         height: frame.height,
         capturedAt: frame.timestamp,
@@ -870,77 +3808,411 @@ app.get('/v1/remote/last-frame', (req, res) => {
   }
 });
 
-// Enviar acción (click, teclas, etc.) de vuelta a la extensión
-app.post('/v1/remote/action', (req, res) => {
+// Historial de frames de la sesión, del más viejo al más nuevo. `from` es un seq (inclusive) o un frameId;
+// sin `from` devuelve los últimos `limit`. Solo metadatos salvo con ?include=data.
+app.get('/v1/remote/frames', requireScope('remote:control'), requireRemoteSession(), (req, res) => {
   try {
-    const { sessionId, action, selector, value, x, y } = req.body || {};
-    if (!sessionId || !action) return res.status(400).json({ error: 'Missing sessionId or action' });
-    
-    const session = remoteSessions.get(sessionId);
-    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const sessionId = req.remoteSessionId;
+    const { from } = req.query;
+
+    const items = remoteFrames.get(sessionId)?.items || [];
+    const limit = Math.min(Math.max(asInt(req.query.limit, 10), 1), Math.max(asInt(REMOTE_FRAME_HISTORY, 30), 1));
+    let frames;
+    if (from === undefined || from === '') {
+      frames = items.slice(-limit);
+    } else {
+      let fromSeq = Number(from);
+      if (!/^\d+$/.test(from)) {
+        const ref = remoteFrameById.get(from);
+        if (!ref || ref.sessionId !== sessionId) return res.status(404).json({ error: 'Frame not found (it may have been evicted from the history)' });
+        fromSeq = ref.seq;
+      }
+      frames = items.filter(frame => frame.seq >= fromSeq).slice(0, limit);
+    }
+    const includeData = String(req.query.include || '').split(',').includes('data');
+    const last = frames.at(-1);
+    res.json({
+      ok: true,
+      sessionId,
+      frames: frames.map(frame => frameView(sessionId, frame, includeData)),
+      oldestSeq: items[0]?.seq ?? null,
+      latestSeq: items.at(-1)?.seq ?? null,
+      next: last && last.seq < items.at(-1).seq ? last.seq + 1 : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: String(error?.message || error) });
+  }
+});
+
+app.get('/v1/remote/frames/:frameId', requireScope('remote:control'), (req, res) => {
+  const frame = remoteFrameById.get(req.params.frameId);
+  if (!frame) return res.status(404).json({ error: 'Frame not found (it may have been evicted from the history)' });
+  const { status, error } = checkRemoteSession(req, frame.sessionId);
+  if (error) return res.status(status).json({ error });
+  sendFrame(req, res, frame, { ok: true, frame: frameView(frame.sessionId, frame) });
+});
+
+// Enviar acción (click, teclas, etc.) de vuelta a la extensión. Se encola para que la extensión la recoja con
+// GET /v1/remote/actions. Con `wait: true` (REMOTE_ACTION_WAIT_MAX_MS) o `timeoutMs` se espera el ack: responde
+// 200 con el resultado, o 202 si venció la espera (la acción sigue en cola).
+app.post('/v1/remote/action', requireScope('remote:control'), requireRemoteSession(), async (req, res) => {
+  try {
+    const sessionId = req.remoteSessionId;
+    const { sessionId: _sessionId, action, wait, timeoutMs, ...payload } = req.body || {};
+    if (!action) return res.status(400).json({ error: 'Missing action' });
     
-    // En un escenario real, aquí guardaríamos la acción en una queue
-    // que la extensión polléa periodicamente
-    // Por ahora, solo registramos y respondemos
+    const item = enqueueAction(sessionId, action, payload);
     
-    console.log(`[Remote] Acción: ${action} en sesión ${sessionId}`);
+    const waitMs = timeoutMs !== undefined ? actionWaitMs(timeoutMs) : wait === true ? actionWaitMs(REMOTE_ACTION_WAIT_MAX_MS) : 0;
+    await waitForAck(item, waitMs);
+    const finished = ACTION_FINAL.has(item.status);
     
-    res.json({
-      ok: true,
+    res.status(finished || !waitMs ? 200 : 202).json({
+      ok: item.status !== 'failed' && item.status !== 'expired' && item.status !== 'cancelled',
       action,
       sessionId,
-      executedAt: Date.now()
+      actionId: item.id,
+      status: item.status,
+      queuedAt: item.createdAt,
+      executedAt: item.status === 'done' ? item.ackedAt : null,
+      ...(waitMs ? { timedOut: !finished, result: item.result, error: item.error } : {})
     });
   } catch (error) {
     res.status(500).json({ error: String(error?.message || error) });
   }
 });
 
-// Estado de sesión remota
-app.get('/v1/remote/status/:sessionId', (req, res) => {
+// La extensión recoge las acciones pendientes (FIFO). `since` = último seq procesado; con `wait` (ms) hace
+// long-poll hasta que llegue alguna o venza la espera (tope REMOTE_ACTION_WAIT_MAX_MS).
+app.get('/v1/remote/actions', requireScope('remote:ingest'), requireRemoteSession(), async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    const session = remoteSessions.get(sessionId);
-    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const sessionId = req.remoteSessionId;
+    touchSession(sessionId);
     
-    const frame = remoteFrames.get(sessionId);
-    const uptime = (Date.now() - session.startTime) / 1000;
+    const since = asInt(req.query.since, 0);
+    let items = takeActions(sessionId, since);
+    const waitMs = actionWaitMs(req.query.wait);
+    if (!items.length && waitMs) {
+      const queue = actionQueue(sessionId);
+      await new Promise(resolve => {
+        const wake = () => {
+          clearTimeout(timer);
+          queue.pollers.delete(wake);
+          resolve();
+        };
+        const timer = setTimeout(wake, waitMs);
+        queue.pollers.add(wake);
+        req.on('close', wake);
+      });
+      if (res.destroyed) return;
+      items = liveSession(sessionId) ? takeActions(sessionId, since) : [];
+    }
     
     res.json({
       ok: true,
       sessionId,
-      status: session.status,
-      clientType: session.clientType,
-      uptimeSeconds: uptime,
-      frameCount: session.frameCount,
-      lastFrameAt: session.lastFrame,
-      hasFrame: !!frame,
-      frameDimensions: frame ? { width: frame.width, height: frame.height } : null
+      actions: items.map(actionView),
+      cursor: items.length ? items[items.length - 1].seq : since
     });
   } catch (error) {
     res.status(500).json({ error: String(error?.message || error) });
   }
 });
 
-// Limpiar sesión
-app.post('/v1/remote/session/stop/:sessionId', (req, res) => {
+// La extensión confirma una acción: { status: 'done' | 'failed', result?, error? }
+app.post('/v1/remote/actions/:id/ack', requireScope('remote:ingest'), (req, res) => {
   try {
-    const { sessionId } = req.params;
+    const item = remoteActionById.get(req.params.id);
+    if (!item) return res.status(404).json({ error: 'Action not found' });
+    const denied = checkRemoteSession(req, item.sessionId);
+    if (denied.error) return res.status(denied.status).json({ error: denied.error });
+    touchSession(item.sessionId);
     
-    if (remoteSessions.has(sessionId)) {
-      remoteSessions.delete(sessionId);
-    }
-    if (remoteFrames.has(sessionId)) {
-      remoteFrames.delete(sessionId);
-    }
+    const { status, result, error } = req.body || {};
+    if (status !== 'done' && status !== 'failed') return res.status(400).json({ error: "status must be 'done' or 'failed'" });
+    if (ACTION_FINAL.has(item.status)) return res.status(409).json({ error: `Action already ${item.status}`, action: actionView(item) });
     
-    console.log(`[Remote] Sesión detenida: ${sessionId}`);
-    res.json({ ok: true, message: 'Session terminated' });
+    settleAction(item, status, { result: result ?? null, error: status === 'failed' ? String(error || 'Action failed') : null });
+    res.json({ ok: true, action: actionView(item) });
+  } catch (error) {
+    res.status(500).json({ error: String(error?.message || error) });
+  }
+});
+
+// Consulta de una acción (p.ej. tras un 202 del endpoint de acción)
+app.get('/v1/remote/actions/:id', requireScope('remote:ingest', 'remote:control'), (req, res) => {
+  const item = remoteActionById.get(req.params.id);
+  if (!item) return res.status(404).json({ error: 'Action not found' });
+  const { status, error } = checkRemoteSession(req, item.sessionId);
+  if (error) return res.status(status).json({ error });
+  res.json({ ok: true, action: actionView(item) });
+});
+
+function remoteStatusView(sessionId) {
+  const session = remoteSessions.get(sessionId);
+  const frame = latestFrame(sessionId);
+  return {
+    sessionId,
+    status: session.status,
+    clientType: session.clientType,
+    uptimeSeconds: ((session.endedAt || Date.now()) - session.startTime) / 1000,
+    frameCount: session.frameCount,
+    lastFrameAt: session.lastFrame,
+    lastActivityAt: session.lastActivity,
+    expiresAt: sessionExpiresAt(session),
+    endedAt: session.endedAt,
+    endReason: session.endReason,
+    hasFrame: !!frame,
+    frameDimensions: frame ? { width: frame.width, height: frame.height } : null,
+    framesBuffered: remoteFrames.get(sessionId)?.items.length || 0,
+    pendingActions: (remoteActions.get(sessionId)?.items || []).filter(item => !ACTION_FINAL.has(item.status)).length,
+    connections: { extension: remoteSubscriberCount(sessionId, 'extension'), viewer: remoteSubscriberCount(sessionId, 'viewer') }
+  };
+}
+
+// Estado de sesión remota
+app.get('/v1/remote/status/:sessionId', requireScope('remote:ingest', 'remote:control'), requireRemoteSession({ allowEnded: true }), (req, res) => {
+  try {
+    const sessionId = req.remoteSessionId;
+    res.json({ ok: true, ...remoteStatusView(sessionId) });
+  } catch (error) {
+    res.status(500).json({ error: String(error?.message || error) });
+  }
+});
+
+// Limpiar sesión (idempotente: sobre una sesión ya terminada solo informa su estado)
+app.post('/v1/remote/session/stop/:sessionId', requireScope('remote:ingest', 'remote:control'), requireRemoteSession({ allowEnded: true }), (req, res) => {
+  try {
+    const sessionId = req.remoteSessionId;
+    endSession(sessionId, 'stopped', 'stopped_by_client');
+    res.json({ ok: true, message: 'Session terminated', status: remoteSessions.get(sessionId).status });
   } catch (error) {
     res.status(500).json({ error: String(error?.message || error) });
   }
 });
 
+/* Canal push: WebSocket en /v1/remote/ws/:sessionId?role=extension|viewer y SSE en /v1/remote/events/:sessionId.
+   Mensajes JSON { type, ... }:
+     servidor -> extension: hello, action, status
+     servidor -> viewer:    hello, frame, status, action_update (con ?frames=meta los frames van sin `data`)
+     extension -> servidor: frame { frameData, width, height, timestamp }, ack { id, status, result?, error? }
+     viewer -> servidor:    action { action, ...payload, requestId? } -> action_queued
+   Los frames se descartan para un cliente con más de REMOTE_PUSH_MAX_BUFFER bytes pendientes de enviar. */
+const REMOTE_ROLES = { extension: 'remote:ingest', viewer: 'remote:control' };
+const pushBufferLimit = () => asInt(REMOTE_PUSH_MAX_BUFFER, 4 * 1024 * 1024);
+
+function remoteEventPayload(sub, sessionId, type, data) {
+  if (type === 'frame') return { type, frame: frameView(sessionId, data, !sub.framesMeta) };
+  if (type === 'action') return { type, action: data };
+  if (type === 'action_update') return { type, action: data };
+  return { type, ...data };
+}
+
+function handleRemoteMessage(sessionId, role, message, reply) {
+  const session = liveSession(sessionId);
+  if (!session) return reply({ type: 'error', error: 'Session not found' });
+  if (role === 'extension') touchSession(sessionId);
+  if (role === 'extension' && message.type === 'frame') {
+    if (!message.frameData) return reply({ type: 'error', error: 'Missing frameData' });
+    try {
+      storeFrame(sessionId, session, { ...decodeFrameData(message.frameData), width: message.width, height: message.height, timestamp: message.timestamp });
+    } catch (error) {
+      return reply({ type: 'error', error: String(error?.message || error) });
+    }
+    return undefined;
+  }
+  if (role === 'extension' && message.type === 'ack') {
+    const item = remoteActionById.get(message.id);
+    if (!item || item.sessionId !== sessionId) return reply({ type: 'error', error: 'Action not found', id: message.id });
+    if (message.status !== 'done' && message.status !== 'failed') return reply({ type: 'error', error: "status must be 'done' or 'failed'", id: message.id });
+    if (ACTION_FINAL.has(item.status)) return reply({ type: 'error', error: `Action already ${item.status}`, id: message.id });
+    settleAction(item, message.status, { result: message.result ?? null, error: message.status === 'failed' ? String(message.error || 'Action failed') : null });
+    return undefined;
+  }
+  if (role === 'viewer' && message.type === 'action') {
+    const { type: _type, requestId, action, sessionId: _sessionId, ...payload } = message;
+    if (!action) return reply({ type: 'error', error: 'Missing action', requestId });
+    const item = enqueueAction(sessionId, action, payload);
+    return reply({ type: 'action_queued', requestId, action: actionView(item) });
+  }
+  if (message.type === 'ping') return reply({ type: 'pong' });
+  return reply({ type: 'error', error: `Unsupported message type '${message.type}' for ${role}` });
+}
+
+const remoteWss = new WebSocketServer({
+  noServer: true,
+  maxPayload: 50 * 1024 * 1024,
+  // Los navegadores no pueden mandar cabeceras: los tokens van como subprotocolos ['bearer', '<key>', 'session', '<sessionToken>']
+  handleProtocols: protocols => (protocols.has('bearer') ? 'bearer' : protocols.has('session') ? 'session' : false),
+});
+
+function rejectUpgrade(socket, status, message) {
+  socket.end(`HTTP/1.1 ${status} ${message}\r\ncontent-type: application/json\r\nconnection: close\r\n\r\n${JSON.stringify({ error: message })}`);
+}
+
+function handleRemoteUpgrade(req, socket, head) {
+  const url = new URL(req.url, 'http://localhost');
+  const match = url.pathname.match(/^\/v1\/remote\/ws\/([^/]+)\/?$/);
+  if (!match) return rejectUpgrade(socket, 404, 'Not Found');
+  const sessionId = decodeURIComponent(match[1]);
+  const role = url.searchParams.get('role') || 'viewer';
+  if (!REMOTE_ROLES[role]) return rejectUpgrade(socket, 400, 'Invalid role');
+
+  const protocols = String(req.headers['sec-websocket-protocol'] || '').split(',').map(p => p.trim());
+  const auth = req.headers.authorization || '';
+  const protocolValue = name => (protocols.includes(name) ? protocols[protocols.indexOf(name) + 1] : undefined);
+  const token = auth.startsWith('Bearer ') ? auth.slice(7) : protocolValue('bearer') || null;
+  const { key, status, message } = authenticate(token);
+  if (!key) return rejectUpgrade(socket, status, message);
+  if (!hasScope(key, REMOTE_ROLES[role])) return rejectUpgrade(socket, 403, `API key '${key.name}' lacks scope: ${REMOTE_ROLES[role]}`);
+  req.headers['x-session-token'] ||= protocolValue('session');
+  const denied = checkRemoteSession(req, sessionId);
+  if (denied.error) return rejectUpgrade(socket, denied.status, denied.error);
+
+  return remoteWss.handleUpgrade(req, socket, head, ws => {
+    const sub = {
+      role,
+      framesMeta: url.searchParams.get('frames') === 'meta',
+      send(type, data) {
+        if (ws.readyState !== ws.OPEN) return;
+        if (type === 'frame' && ws.bufferedAmount > pushBufferLimit()) return;
+        ws.send(JSON.stringify(remoteEventPayload(sub, sessionId, type, data)));
+      },
+      close: () => ws.close(1000, 'Session stopped'),
+    };
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.send(JSON.stringify({ type: 'hello', role, ...remoteStatusView(sessionId) }));
+    const unsubscribe = subscribeRemote(sessionId, sub);
+    console.log(`[Remote] WebSocket ${role} conectado a ${sessionId} (${key.name})`);
+    ws.on('message', (raw, isBinary) => {
+      let message;
+      try {
+        message = JSON.parse(isBinary ? Buffer.from(raw).toString('utf8') : raw.toString());
+      } catch {
+        return ws.send(JSON.stringify({ type: 'error', error: 'Messages must be JSON' }));
+      }
+      return handleRemoteMessage(sessionId, role, message || {}, payload => ws.send(JSON.stringify(payload)));
+    });
+    ws.on('close', () => {
+      unsubscribe();
+      console.log(`[Remote] WebSocket ${role} desconectado de ${sessionId}`);
+    });
+  });
+}
+
+// Detecta conexiones muertas (ping/pong cada 30s)
+setInterval(() => {
+  for (const ws of remoteWss.clients) {
+    if (!ws.isAlive) {
+      ws.terminate();
+      continue;
+    }
+    ws.isAlive = false;
+    ws.ping();
+  }
+}, 30000).unref();
+
+// Fallback SSE (solo servidor -> cliente): la extensión recibe acciones y sigue enviando frames y acks por REST
+app.get('/v1/remote/events/:sessionId', (req, res, next) => {
+  const role = req.query.role || 'viewer';
+  if (!REMOTE_ROLES[role]) return res.status(400).json({ error: 'Invalid role' });
+  return requireScope(REMOTE_ROLES[role])(req, res, next);
+}, requireRemoteSession(), (req, res) => {
+  const sessionId = req.remoteSessionId;
+  const role = req.query.role || 'viewer';
+
+  res.setHeader('content-type', 'text/event-stream');
+  res.setHeader('cache-control', 'no-cache');
+  res.setHeader('connection', 'keep-alive');
+  res.setHeader('x-accel-buffering', 'no');
+  res.flushHeaders?.();
+  const write = (type, payload) => res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  const sub = {
+    role,
+    framesMeta: req.query.frames === 'meta',
+    send(type, data) {
+      if (type === 'frame' && res.writableLength > pushBufferLimit()) return;
+      const { type: _type, ...payload } = remoteEventPayload(sub, sessionId, type, data);
+      write(type, payload);
+    },
+    close: () => res.end(),
+  };
+  write('hello', { role, ...remoteStatusView(sessionId) });
+  const unsubscribe = subscribeRemote(sessionId, sub);
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), asInt(STREAM_KEEPALIVE_MS, 15000));
+  req.on('close', () => {
+    clearInterval(keepalive);
+    unsubscribe();
+  });
+});
+
+/* Vista en vivo MJPEG (multipart/x-mixed-replace): cada frame JPEG que llega se manda como una parte nueva,
+   así un <img src> del navegador muestra la pantalla. Los frames que no son JPEG se omiten. Como <img> no puede
+   mandar Authorization, POST /v1/remote/stream/:sessionId/ticket devuelve una URL con ?ticket= de corta duración.
+   Si no llegan frames en STREAM_KEEPALIVE_MS se reenvía el último JPEG (o una parte vacía) para que proxies y
+   navegadores no cierren la conexión por inactividad. */
+const MJPEG_BOUNDARY = 'frame';
+
+app.get('/v1/remote/stream/:sessionId', requireScope('remote:control'), requireRemoteSession(), (req, res) => {
+  const sessionId = req.remoteSessionId;
+
+  res.setHeader('content-type', `multipart/x-mixed-replace; boundary=${MJPEG_BOUNDARY}`);
+  res.setHeader('cache-control', 'no-cache, no-store');
+  res.setHeader('connection', 'keep-alive');
+  res.setHeader('x-accel-buffering', 'no');
+  res.flushHeaders?.();
+  let lastJpeg = null;
+  let lastWriteAt = Date.now();
+  const writePart = (type, bytes) => {
+    res.write(`--${MJPEG_BOUNDARY}\r\ncontent-type: ${type}\r\ncontent-length: ${bytes.length}\r\n\r\n`);
+    res.write(bytes);
+    res.write('\r\n');
+    lastWriteAt = Date.now();
+  };
+  const writeFrame = frame => {
+    if (frame.format !== 'image/jpeg') return;
+    lastJpeg = frame;
+    if (res.writableLength <= pushBufferLimit()) writePart('image/jpeg', frame.data);
+  };
+  const latest = latestFrame(sessionId);
+  if (latest) writeFrame(latest);
+  const unsubscribe = subscribeRemote(sessionId, {
+    role: 'viewer',
+    send(type, data) {
+      if (type === 'frame') writeFrame(data);
+    },
+    close: () => res.end(),
+  });
+  const keepaliveMs = asInt(STREAM_KEEPALIVE_MS, 15000);
+  const keepalive = setInterval(() => {
+    if (Date.now() - lastWriteAt < keepaliveMs / 2 || res.writableLength > pushBufferLimit()) return;
+    if (lastJpeg) writePart('image/jpeg', lastJpeg.data);
+    else writePart('text/plain', Buffer.alloc(0));
+  }, keepaliveMs);
+  req.on('close', () => {
+    clearInterval(keepalive);
+    unsubscribe();
+  });
+});
+
+app.post('/v1/remote/stream/:sessionId/ticket', requireScope('remote:control'), requireRemoteSession(), (req, res) => {
+  const sessionId = req.remoteSessionId;
+  const path = `/v1/remote/stream/${encodeURIComponent(sessionId)}`;
+  const { ticket, expiresAt } = issueViewTicket(req.apiKey, path);
+  res.json({ ok: true, url: `${path}?ticket=${ticket}`, expiresAt });
+});
+
 /* ---------- END REMOTE DESKTOP ---------- */
 
-app.listen(PORT, () => console.log(`Proxy on :${PORT}`));
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    for (const task of shutdownTasks) task();
+    process.exit(0);
+  });
+}
+
+const server = app.listen(PORT, () => console.log(`Proxy on :${PORT}`));
+server.on('upgrade', handleRemoteUpgrade);